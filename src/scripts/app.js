@@ -1,85 +1,198 @@
-define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS/Work/RestClient", "q", "VSS/Controls", "VSS/Controls/StatusIndicator", "VSS/Controls/Dialogs"],
-    function (_WorkItemServices, _WorkItemRestClient, workRestClient, Q, Controls, StatusIndicator, Dialogs) {
+define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS/WorkItemTracking/Contracts", "TFS/Work/RestClient", "TFS/Core/RestClient", "q", "./filters", "./expressions", "./tokens", "./rules", "./lint", "./library"],
+    function (_WorkItemServices, _WorkItemRestClient, _WorkItemContracts, workRestClient, _CoreRestClient, Q, _Filters, _Expressions, _Tokens, _Rules, _Lint, _Library) {
 
         var ctx = null;
 
+        // Every child is tagged with the id of the template it was created from (e.g. "cct-template:<id>")
+        var TEMPLATE_TAG_PREFIX = 'cct-template:';
+
+        // Children are also tagged with the run that created them (cct-run:<run id>), so a run can be undone
+        var RUN_TAG_PREFIX = 'cct-run:';
+
+        // Levels of nested templates created below the parent, including the first
+        var MAX_TEMPLATE_DEPTH = 5;
+
+        // Link types a template can name in "linkType", as the parent sees the new work item (the default is "child")
+        var LINK_TYPES = {
+            child: 'System.LinkTypes.Hierarchy-Forward',
+            related: 'System.LinkTypes.Related',
+            testedby: 'Microsoft.VSTS.Common.TestedBy-Forward',
+            tests: 'Microsoft.VSTS.Common.TestedBy-Reverse',
+            duplicate: 'System.LinkTypes.Duplicate-Forward',
+            duplicateof: 'System.LinkTypes.Duplicate-Reverse',
+            successor: 'System.LinkTypes.Dependency-Forward',
+            predecessor: 'System.LinkTypes.Dependency-Reverse'
+        };
+
+        // Parent relations a template can copy with "copyRelations"
+        var COPIED_RELATIONS = {
+            hyperlink: 'Hyperlink',
+            artifact: 'ArtifactLink',
+            attachment: 'AttachedFile'
+        };
+
+        var teamTemplatesRequest = null;
+        var workItemTypeFieldsRequests = {};
+
+        // Fields changed on the work item form since its last save, per work item id (0 for a new work item), for "trigger"
+        var changedFieldsByWorkItem = {};
+        var autoCreateRunning = {};
+        var teamMembersRequest = null;
+
+        // The $batch endpoint takes at most 200 requests at a time
+        var BATCH_SIZE = 200;
+        var BATCH_API_VERSION = '4.1';
+
+        // Parents worked on at the same time in a bulk run
+        var BULK_CONCURRENCY = 4;
+
+        // Token for the parent's tags in template values, e.g. System.Tags-Add = "{parent tags}; QA"
+        var PARENT_TAGS_TOKEN = /\{\s*parent\s+tags\s*\}/i;
+
+        // Parent fields an estimate share is taken from when the template does not name one, in order of preference
+        var ESTIMATE_SOURCE_FIELDS = [
+            'Microsoft.VSTS.Scheduling.OriginalEstimate',
+            'Microsoft.VSTS.Scheduling.StoryPoints',
+            'Microsoft.VSTS.Scheduling.Effort',
+            'Microsoft.VSTS.Scheduling.Size'
+        ];
+
+        // Child fields that receive an estimate share, when the child's type has them
+        var ESTIMATE_TARGET_FIELDS = [
+            'Microsoft.VSTS.Scheduling.OriginalEstimate',
+            'Microsoft.VSTS.Scheduling.RemainingWork'
+        ];
+
         function getWorkItemFormService() {
             return _WorkItemServices.WorkItemFormService.getService();
         }
 
+        // The templates of the child types from the team, its library teams and the project (see library.js)
         function getTemplates(workItemTypes) {
-
-            var requests = []
-            var witClient = _WorkItemRestClient.getClient();
-
-            workItemTypes.forEach(function (workItemType) {
-
-                var request = witClient.getTemplates(ctx.project.id, ctx.team.id, workItemType);
-                requests.push(request);
-            }, this);
-
-            return Q.all(requests)
-                .then(function (templateTypes) {
-
-                    var templates = [];
-                    templateTypes.forEach(function (templateType) {
-                        if (templateType.length > 0) {
-
-                            templateType.forEach(function (element) {
-                                templates.push(element)
-                            }, this);
-                        }
-                    }, this);
-                    return templates;
-                });
+            return _Library.getTemplates(ctx.project.id, ctx.team.id, workItemTypes);
         }
 
-        function getTemplate(id) {
-            var witClient = _WorkItemRestClient.getClient();
-            return witClient.getTemplate(ctx.project.id, ctx.team.id, id);
+        // The full template for a reference returned by getTemplates or getTeamTemplates
+        function getTemplate(reference) {
+            return _Library.getTemplate(ctx.project.id, reference);
         }
 
         function IsPropertyValid(taskTemplate, key) {
             if (taskTemplate.fields.hasOwnProperty(key) == false) {
                 return false;
             }
-            if (key.indexOf('System.Tags') >= 0) { //not supporting tags for now
+            if (key.indexOf('System.Tags') >= 0) { //tags are merged later, see getChildTags
                 return false;
             }
-            if (taskTemplate.fields[key].toLowerCase() == '@me') { //current identity is handled later
-                return false;
-            }
-            if (taskTemplate.fields[key].toLowerCase() == '@currentiteration') { //current iteration is handled later
+            if (_Tokens.isToken(taskTemplate.fields[key])) { //tokens such as @me are resolved later
                 return false;
             }
 
             return true;
         }
 
+        /**
+         * Evaluate the {expression} references in a template field value against the parent work
+         * item, e.g. "QA: {System.Title}", "{Custom.Component|General}" or
+         * "{addDays(Microsoft.VSTS.Scheduling.TargetDate, -3)}". See scripts/expressions.js.
+         * @param {*} fieldValue 
+         * @param {*} currentWorkItem 
+         */
         function replaceReferenceToParentField(fieldValue, currentWorkItem) {
-            var filters = fieldValue.match(/[^{\}]+(?=})/g);
-            if (filters) {
-                for (var i = 0; i < filters.length; i++) {
-                    var parentField = filters[i];
-                    var parentValue = currentWorkItem[parentField];
+            // {parent tags} is not a field reference, so it is replaced around the expressions
+            if (typeof fieldValue === 'string' && PARENT_TAGS_TOKEN.test(fieldValue)) {
+                var parentTags = getInheritableTags(currentWorkItem).join('; ');
+                return fieldValue
+                    .split(PARENT_TAGS_TOKEN)
+                    .map(function (part) { return _Expressions.toText(_Expressions.evaluateTemplate(part, currentWorkItem)); })
+                    .join(parentTags);
+            }
+            return _Expressions.evaluateTemplate(fieldValue, currentWorkItem);
+        }
+
+        // The tags the extension sets itself: the template and the run a work item was created by
+        function isExtensionTag(tag) {
+            var lowerTag = tag.toLowerCase();
+            return lowerTag.indexOf(TEMPLATE_TAG_PREFIX) === 0 || lowerTag.indexOf(RUN_TAG_PREFIX) === 0;
+        }
+
+        // The parent's tags, without the tags marking the template and the run the parent itself was created by.
+        // A child carrying its parent's run tag would be removed by the undo of that other run.
+        function getInheritableTags(currentWorkItem) {
+            return _Filters.toTagArray(currentWorkItem['System.Tags']).filter(function (tag) {
+                return !isExtensionTag(tag);
+            });
+        }
+
+        /**
+         * Build the tag list of a child:
+         * - the parent's tags when the template sets "inheritTags" (true, or wildcard patterns of the tags to inherit)
+         * - merged with the template's System.Tags-Add (which may use {parent tags} and expressions)
+         * - minus the template's System.Tags-Remove (wildcards allowed)
+         * - plus the tag marking the template the child was created from
+         * @param {*} currentWorkItem 
+         * @param {*} taskTemplate 
+         */
+        function getChildTags(currentWorkItem, taskTemplate) {
+
+            var tags = [];
+            var addTags = function (values) {
+                values.forEach(function (tag) {
+                    var exists = tags.some(function (t) { return t.toLowerCase() === tag.toLowerCase(); });
+                    if (!exists) {
+                        tags.push(tag);
+                    }
+                });
+            };
 
-                    fieldValue = fieldValue.replace('{' + parentField + '}', parentValue)
+            var inherit = getTemplateSettings(taskTemplate).inheritTags;
+            if (inherit) {
+                var patterns = (inherit === true) ? ['*'] : _Filters.toTagArray(inherit);
+                addTags(getInheritableTags(currentWorkItem).filter(function (tag) {
+                    return patterns.some(function (pattern) { return _Filters.matchWildcardString(tag, pattern); });
+                }));
+            }
+
+            // Work Item Template field for tags is called 'System.Tags-Add', but child task work item field is called 'System.Tags'
+            ['System.Tags', 'System.Tags-Add'].forEach(function (key) {
+                if (taskTemplate.fields[key]) {
+                    addTags(_Filters.toTagArray(replaceReferenceToParentField(taskTemplate.fields[key], currentWorkItem)));
                 }
+            });
+
+            if (taskTemplate.fields['System.Tags-Remove']) {
+                var removed = _Filters.toTagArray(replaceReferenceToParentField(taskTemplate.fields['System.Tags-Remove'], currentWorkItem));
+                tags = tags.filter(function (tag) {
+                    return !removed.some(function (pattern) { return _Filters.matchWildcardString(tag, pattern); });
+                });
             }
-            return fieldValue;
+
+            // Template and run tags typed in the template are dropped: the child gets its own below and in buildChildDocuments
+            tags = tags.filter(function (tag) { return !isExtensionTag(tag); });
+
+            // Mark the child with the template it was created from, so that re-runs can skip it
+            tags.push(getTemplateTag(taskTemplate));
+            return tags;
         }
 
         /**
          * Create the child task work item based on the rules from the task work item template.
+         * Throws when a field value contains an invalid expression.
          * @param {*} currentWorkItem 
          * @param {*} taskTemplate 
          * @param {*} teamSettings 
+         * @param {*} overrides // Optional field values computed for this run (e.g. estimate shares), applied last
          */
-        function createWorkItemFromTemplate(currentWorkItem, taskTemplate, teamSettings) {
+        function createWorkItemFromTemplate(currentWorkItem, taskTemplate, teamSettings, overrides) {
             
             // Create the new child task work item
             var workItem = [];
 
+            // A copy made by a "foreach" list can use {item} in its values
+            if (taskTemplate.hasOwnProperty('foreachItem')) {
+                currentWorkItem = withForeachItem(currentWorkItem, taskTemplate.foreachItem);
+            }
+
             // Iteration through every field in the task template
             for (var key in taskTemplate.fields) {
 
@@ -118,182 +231,2127 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
                 workItem.push({ "op": "add", "path": "/fields/System.AreaPath", "value": currentWorkItem['System.AreaPath'] })
             }
 
-            // If template has no IterationPath field copies value from parent, check if IterationPath field value is @currentiteration
+            // If template has no IterationPath field copies value from parent
             if (taskTemplate.fields['System.IterationPath'] == null){
                 workItem.push({ "op": "add", "path": "/fields/System.IterationPath", "value": currentWorkItem['System.IterationPath'] })
-            } else if (taskTemplate.fields['System.IterationPath'].toLowerCase() == '@currentiteration') {
-                // Check that teamSettings.defaultIteration is not null and has a path
-                if (teamSettings && teamSettings.defaultIteration && teamSettings.defaultIteration.path) {
-                    WriteLog('Info: Creating work item (template: ' + getTemplateName(taskTemplate) + ') with team default iteration path.');
-                    workItem.push({ "op": "add", "path": "/fields/System.IterationPath", "value": teamSettings.backlogIteration.name + teamSettings.defaultIteration.path })
-                } else {
-                    WriteLog('Warning: No default or current iteration path defined in team settings for template ' + getTemplateName(taskTemplate) + '. Falling back to parent iteration path.');
-                    workItem.push({ "op": "add", "path": "/fields/System.IterationPath", "value": currentWorkItem['System.IterationPath'] })
-                }
             }
 
-            // Check if AssignedTo field value is @me
-            if (taskTemplate.fields['System.AssignedTo'] != null) {
-                if (taskTemplate.fields['System.AssignedTo'].toLowerCase() == '@me') {
-                    workItem.push({ "op": "add", "path": "/fields/System.AssignedTo", "value": ctx.user.uniqueName })
+            // Resolve tokens such as @me, @nextiteration or @iterationEnd-1 (see scripts/tokens.js).
+            // The iteration goes first, as the @iterationStart/@iterationEnd dates are anchored to the child's sprint.
+            var tokenFields = Object.keys(taskTemplate.fields)
+                .filter(function (key) { return key.indexOf('System.Tags') < 0 && _Tokens.isToken(taskTemplate.fields[key]); })
+                .sort(function (a, b) { return (b == 'System.IterationPath') - (a == 'System.IterationPath'); });
+
+            tokenFields.forEach(function (key) {
+                var value = _Tokens.resolve(taskTemplate.fields[key], {
+                    currentWorkItem: currentWorkItem,
+                    teamSettings: teamSettings,
+                    user: ctx.user,
+                    iterationPath: getPatchValue(workItem, 'System.IterationPath') || currentWorkItem['System.IterationPath']
+                });
+
+                if (value == null) {
+                    if (key == 'System.IterationPath') {
+                        WriteLog('Warning: ' + taskTemplate.fields[key] + ' has no value in the team settings for template ' + getTemplateName(taskTemplate) + '. Falling back to parent iteration path.');
+                        workItem.push({ "op": "add", "path": "/fields/System.IterationPath", "value": currentWorkItem['System.IterationPath'] })
+                    } else {
+                        WriteLog('Warning: ' + taskTemplate.fields[key] + ' has no value for template ' + getTemplateName(taskTemplate) + '. ' + key + ' is left empty.');
+                    }
+                    return;
                 }
-            }
+                workItem.push({ "op": "add", "path": "/fields/" + key, "value": value })
+            });
 
-            // Copy tags from task template to new task work item // Work Item Template field for tags is called 'System.Tags-Add', but child task work item field is called 'System.Tags'
-            if(taskTemplate.fields['System.Tags-Add'] != undefined) {
-                workItem.push({ "op": "add", "path": "/fields/System.Tags", "value": taskTemplate.fields['System.Tags-Add'] })
+            // Inherit, merge and remove tags as the template describes
+            workItem.push({ "op": "add", "path": "/fields/System.Tags", "value": getChildTags(currentWorkItem, taskTemplate).join('; ') })
+
+            for (var field in (overrides || {})) {
+                setPatchValue(workItem, field, overrides[field]);
             }
 
             return workItem;
         }
 
-        function createWorkItem(service, currentWorkItem, taskTemplate, teamSettings) {
+        /**
+         * Create the children of one parent with as few round trips as possible: all JSON Patch
+         * documents go to the work item $batch endpoint in one request (per BATCH_SIZE documents).
+         * Nested children declared by the templates are created next, one batch per level. On the
+         * form the parent links are then added and the parent saved once; on the grid every child
+         * links itself to the parent in its own document, so the parent is not updated at all.
+         * Children are ranked after the parent's existing children in the team's backlog order field.
+         * Created and failed templates are recorded on the run. Resolves with the created work items.
+         * In an all-or-nothing run (run.allOrNothing) any failure rolls back the children created so far.
+         * @param {*} service // The work item form service, or null on the grid
+         * @param {*} parentWorkItem // The parent as returned by the REST client (for its url)
+         * @param {*} currentWorkItem 
+         * @param {*} taskTemplates 
+         * @param {*} teamSettings 
+         * @param {*} run 
+         * @param {*} estimates // Field values per template id, see distributeEstimate
+         */
+        function createChildren(service, parentWorkItem, currentWorkItem, taskTemplates, teamSettings, run, estimates) {
 
-            var witClient = _WorkItemRestClient.getClient();
+            // Failures recorded earlier in the run (e.g. a template that did not load) are not part of the creation
+            var failedBefore = run.failed.length;
 
-            var newWorkItem = createWorkItemFromTemplate(currentWorkItem, taskTemplate, teamSettings);
+            var items = buildChildDocuments(parentWorkItem, service == null, currentWorkItem, taskTemplates, teamSettings, run, estimates);
 
-            return witClient.createWorkItem(newWorkItem, VSS.getWebContext().project.name, taskTemplate.workItemTypeName)
-                .then(function (created) {
-                    // Add relation to the parent and then save the parent form
-                    if (service != null) {
-                        // Wrap addWorkItemRelations to normalize return type (some SDKs don't support .catch)
-                        return Q.Promise(function (resolve, reject) {
-                            try {
-                                var relResult = service.addWorkItemRelations([
-                                    { rel: "System.LinkTypes.Hierarchy-Forward", url: created.url }
-                                ]);
-                                if (relResult && typeof relResult.then === 'function') {
-                                    // Use then(success, error) to support jQuery/Q-style promises
-                                    relResult.then(function () { resolve(); }, function (e) { reject(e); });
-                                } else {
-                                    // Synchronous/no promise
-                                    resolve();
+            return getLastChildRank(parentWorkItem, teamSettings.orderField)
+                .then(function (baseRank) {
+                    var baseRanks = {};
+                    baseRanks[currentWorkItem['System.Id']] = baseRank;
+                    return setBacklogOrder(items, teamSettings.orderField, baseRanks);
+                })
+                .then(function () {
+                    return createAndRecord(items, run, failedBefore);
+                })
+                .then(function (createdEntries) {
+                    // All or nothing: a failed child is rolled back before any grandchild is created under its siblings
+                    if (run.allOrNothing && run.failed.length > failedBefore) {
+                        return rollbackRun(run);
+                    }
+                    return createDescendants(createdEntries, teamSettings, run, 1, failedBefore)
+                        .then(function () {
+                            return linkChildren(service, createdEntries, run, failedBefore);
+                        });
+                });
+        }
+
+        // The end of createChildren once all levels are created: roll back on a failure (all or nothing), or link the children on the open form
+        function linkChildren(service, createdEntries, run, failedBefore) {
+
+            var created = createdEntries.map(function (entry) { return entry.workItem; });
+
+            if (run.allOrNothing && run.failed.length > failedBefore) {
+                return rollbackRun(run);
+            }
+
+            if (service == null || created.length == 0) {
+                return created;
+            }
+
+            // Link all children on the open form and save the parent once
+            var relations = [];
+            createdEntries.forEach(function (entry) {
+                entry.linkTypes.forEach(function (linkType) {
+                    relations.push({ rel: linkType, url: entry.workItem.url });
+                });
+            });
+            return saveParentForm(service, relations)
+                .then(function () {
+                    return created;
+                }, function (err) {
+                    WriteLog('Failed to save the parent work item: ' + getErrorMessage(err));
+                    if (run.allOrNothing) {
+                        run.warnings.push('The parent could not be saved (' + getErrorMessage(err) + '), so the children were rolled back.');
+                        return removeFormRelations(service, relations)
+                            .then(function () {
+                                return rollbackRun(run);
+                            });
+                    }
+                    run.warnings.push('The children were created, but the parent could not be saved (' + getErrorMessage(err) + '). Save the parent work item to link them.');
+                    return created;
+                });
+        }
+
+        /**
+         * Build the JSON Patch documents for the children of one parent, with the parent relations
+         * the templates copy. Templates whose values or settings cannot be used are recorded as
+         * failed on the run.
+         * @param {*} parentWorkItem // The parent as returned by the REST client (url and relations)
+         * @param {*} linkOnChild // Whether each child links itself to the parent (otherwise the parent form adds the links)
+         * @param {*} currentWorkItem // The parent's fields
+         * @param {*} taskTemplates 
+         * @param {*} teamSettings 
+         * @param {*} run 
+         * @param {*} estimates 
+         */
+        function buildChildDocuments(parentWorkItem, linkOnChild, currentWorkItem, taskTemplates, teamSettings, run, estimates) {
+
+            var items = [];
+            taskTemplates.forEach(function (taskTemplate) {
+                try {
+                    var linkTypes = getTemplateLinkTypes(taskTemplate);
+                    var document = createWorkItemFromTemplate(currentWorkItem, taskTemplate, teamSettings, estimates[taskTemplate.id]);
+                    addTag(document, RUN_TAG_PREFIX + run.id);
+                    if (linkOnChild) {
+                        linkTypes.forEach(function (linkType) {
+                            document.push({
+                                op: "add",
+                                path: '/relations/-',
+                                value: {
+                                    rel: getReverseLinkType(linkType),
+                                    url: parentWorkItem.url,
+                                    attributes: {
+                                        isLocked: false,
+                                    }
                                 }
-                            } catch (e) {
-                                reject(e);
-                            }
-                        }).then(function () {
-                            // Prefer save() which returns a promise to avoid race conditions on first run
-                            if (typeof service.save === 'function') {
-                                return service.save();
-                            }
-                            // Fallback to beginSaveWorkItem if save() is not available
-                            return Q.Promise(function (resolve, reject) {
-                                try {
-                                    service.beginSaveWorkItem(function () { resolve(); }, function (error) { reject(error); });
-                                } catch (e) { reject(e); }
                             });
-                        }, function (err) {
-                            var msg = (err && (err.message || err.statusText)) ? (err.message || err.statusText) : (typeof err === 'string' ? err : JSON.stringify(err));
-                            WriteLog('Failed to add relation for template ' + getTemplateName(taskTemplate) + ': ' + msg);
-                            // Re-throw to be handled by upstream catch
-                            throw err;
                         });
-                    } else {
-                        // Save using REST client by updating relations on the parent work item
-                        var workItemId = currentWorkItem['System.Id'];
-                        var document = [{
+                    }
+                    getCopiedRelations(taskTemplate, parentWorkItem.relations).forEach(function (relation) {
+                        document.push({ op: "add", path: '/relations/-', value: relation });
+                    });
+                    items.push({ taskTemplate: taskTemplate, type: taskTemplate.workItemTypeName, document: document, parentId: currentWorkItem['System.Id'], linkTypes: linkTypes });
+                } catch (e) {
+                    WriteLog('Failed to evaluate template ' + getTemplateName(taskTemplate) + ': ' + getErrorMessage(e));
+                    addFailed(run, taskTemplate, e);
+                }
+            });
+            return items;
+        }
+
+        /**
+         * Create the documents in one batch and record each on the run. Resolves with
+         * [{ taskTemplate, workItem, parentId, linkTypes }] for the created ones.
+         * @param {*} items 
+         * @param {*} run 
+         * @param {*} failedBefore // The failures of the run before its children were created: in an all-or-nothing run, more failures mean a rollback, so no dependency links are added
+         */
+        function createAndRecord(items, run, failedBefore) {
+
+            if (items.length == 0) {
+                return Q.when([]);
+            }
+
+            return saveWorkItemsBatch(items)
+                .then(function (results) {
+                    var created = [];
+                    results.forEach(function (result, index) {
+                        var item = items[index];
+                        if (result.error) {
+                            WriteLog('Failed to create child from template ' + getTemplateName(item.taskTemplate) + ': ' + getErrorMessage(result.error));
+                            addFailed(run, item.taskTemplate, result.error);
+                        } else {
+                            addCreated(run, item.taskTemplate, result.workItem, item.parentId);
+                            created.push({ taskTemplate: item.taskTemplate, workItem: result.workItem, parentId: item.parentId, linkTypes: item.linkTypes });
+                        }
+                    });
+                    if (run.allOrNothing && run.failed.length > failedBefore) {
+                        return created;
+                    }
+                    return linkDependencies(created, run)
+                        .then(function () {
+                            return created;
+                        });
+                });
+        }
+
+        /**
+         * Add dependency links between siblings created together, for templates with a "dependsOn"
+         * setting: the names (or ids) of the templates whose children must be done first.
+         * "Test" with "dependsOn": ["Dev"] gets the Dev child as its predecessor. For foreach copies,
+         * a copy depends on the copy of the other template for the same item when there is one.
+         * Links that cannot be made are added to the run's warnings.
+         * @param {*} createdEntries // [{ taskTemplate, workItem, parentId }]
+         * @param {*} run 
+         */
+        function linkDependencies(createdEntries, run) {
+
+            var items = [];
+            createdEntries.forEach(function (entry) {
+                var refs = _Filters.toTagArray(getTemplateSettings(entry.taskTemplate).dependsOn);
+                if (refs.length == 0) {
+                    return;
+                }
+                var siblings = createdEntries.filter(function (other) {
+                    return other !== entry && other.parentId == entry.parentId;
+                });
+
+                var document = [];
+                refs.forEach(function (ref) {
+                    var predecessors = siblings.filter(function (other) { return isTemplateRef(other.taskTemplate, ref); });
+                    // A foreach copy depends on the same item of the other template, when it has that item
+                    var sameItem = predecessors.filter(function (other) {
+                        return entry.taskTemplate.hasOwnProperty('foreachItem') && other.taskTemplate.hasOwnProperty('foreachItem')
+                            && getForeachLabel(other.taskTemplate.foreachItem) === getForeachLabel(entry.taskTemplate.foreachItem);
+                    });
+                    if (sameItem.length > 0) {
+                        predecessors = sameItem;
+                    }
+                    if (predecessors.length == 0) {
+                        run.warnings.push(getTemplateName(entry.taskTemplate) + ' depends on "' + ref + '", but no child was created from it in this run, so no dependency link was added.');
+                        return;
+                    }
+                    predecessors.forEach(function (other) {
+                        document.push({
                             op: "add",
                             path: '/relations/-',
                             value: {
-                                rel: "System.LinkTypes.Hierarchy-Forward",
-                                url: created.url,
-                                attributes: {
-                                    isLocked: false,
-                                }
+                                rel: "System.LinkTypes.Dependency-Reverse",
+                                url: other.workItem.url
                             }
-                        }];
+                        });
+                    });
+                });
 
-                        return witClient.updateWorkItem(document, workItemId)
-                            .then(function () {
-                                VSS.getService(VSS.ServiceIds.Navigation).then(function (navigationService) {
-                                    navigationService.reload();
-                                });
+                if (document.length > 0) {
+                    items.push({ id: entry.workItem.id, document: document, taskTemplate: entry.taskTemplate });
+                }
+            });
+
+            if (items.length == 0) {
+                return Q.when();
+            }
+
+            return saveWorkItemsBatch(items)
+                .then(function (results) {
+                    results.forEach(function (result, index) {
+                        if (result.error) {
+                            WriteLog('Failed to add dependency links to work item ' + items[index].id + ': ' + getErrorMessage(result.error));
+                            run.warnings.push('The dependency links of ' + items[index].id + ' (template: ' + getTemplateName(items[index].taskTemplate) + ') could not be added: ' + getErrorMessage(result.error));
+                        }
+                    });
+                });
+        }
+
+        // Whether a template (or a foreach copy of it) is the one named by a reference: its name or id, case-insensitive
+        function isTemplateRef(taskTemplate, ref) {
+            var name = ref.toLowerCase();
+            var source = taskTemplate.source || taskTemplate;
+            return source.id.toLowerCase() === name || getTemplateName(source).toLowerCase() === name;
+        }
+
+        /**
+         * Create the nested children that the templates of the given children declare in their
+         * "children" setting, level by level (one batch per level, at most MAX_TEMPLATE_DEPTH levels).
+         * Each nested child takes its parent field values from the child it is created under.
+         * @param {*} createdEntries // [{ taskTemplate, workItem }] of the level just created
+         * @param {*} teamSettings 
+         * @param {*} run 
+         * @param {*} depth // The level of createdEntries, 1 for the children of the parent
+         * @param {*} failedBefore // The failures of the run before its children were created (see createChildren)
+         */
+        function createDescendants(createdEntries, teamSettings, run, depth, failedBefore) {
+
+            depth = depth || 1;
+            var parents = createdEntries.filter(function (entry) {
+                return getNestedTemplateRefs(entry.taskTemplate).length > 0;
+            });
+            if (parents.length == 0) {
+                return Q.when();
+            }
+            if (depth >= MAX_TEMPLATE_DEPTH) {
+                run.warnings.push('Nested templates deeper than ' + MAX_TEMPLATE_DEPTH + ' levels were not created (check for templates that include themselves).');
+                return Q.when();
+            }
+
+            return getTeamTemplates()
+                .then(function (teamTemplates) {
+                    return Q.all(parents.map(function (entry) {
+                        return resolveNestedTemplates(entry.taskTemplate, teamTemplates, run)
+                            .then(function (nestedTemplates) {
+                                return expandTemplates(getWorkItemFields(entry.workItem), nestedTemplates, run);
+                            });
+                    }));
+                }, function (err) {
+                    WriteLog('Failed to load the team templates: ' + getErrorMessage(err));
+                    run.warnings.push('Nested templates were not created: the team templates could not be loaded (' + getErrorMessage(err) + ').');
+                    return [];
+                })
+                .then(function (nestedTemplates) {
+                    if (nestedTemplates.length == 0) {
+                        return [];
+                    }
+                    return Q.all(parents.map(function (entry, index) {
+                        return getEstimates(getWorkItemFields(entry.workItem), nestedTemplates[index], run.warnings);
+                    }))
+                        .then(function (estimates) {
+                            var items = [];
+                            var baseRanks = {};
+                            parents.forEach(function (entry, index) {
+                                var currentWorkItem = getWorkItemFields(entry.workItem);
+                                items = items.concat(buildChildDocuments(entry.workItem, true, currentWorkItem, nestedTemplates[index], teamSettings, run, estimates[index]));
+                                // A new work item has no children yet, so its own rank is the starting point
+                                baseRanks[entry.workItem.id] = teamSettings.orderField ? entry.workItem.fields[teamSettings.orderField] : null;
                             });
+                            return setBacklogOrder(items, teamSettings.orderField, baseRanks)
+                                .then(function () {
+                                    return createAndRecord(items, run, failedBefore);
+                                });
+                        });
+                })
+                .then(function (created) {
+                    // All or nothing: the run is rolled back, so no deeper level is created
+                    if (run.allOrNothing && run.failed.length > failedBefore) {
+                        return Q.when();
                     }
+                    return createDescendants(created, teamSettings, run, depth + 1, failedBefore);
                 });
         }
 
-        function AddTasksOnForm(service) {
+        // The fields of a work item returned by the REST client, as used for parent field references
+        function getWorkItemFields(workItem) {
+            var fields = {};
+            for (var key in (workItem.fields || {})) {
+                fields[key] = workItem.fields[key];
+            }
+            fields['System.Id'] = workItem.id;
+            return fields;
+        }
 
-            service.getId()
-                .then(function (workItemId) {
-                    return AddTasks(workItemId, service)
+        /**
+         * Give the children of each parent increasing values in the team's backlog order field
+         * (Stack Rank or Backlog Priority), counting up from the parent's base rank in the order of
+         * the items, so the taskboard and backlogs show them in the order they are created.
+         * Children whose template sets the field keep that value; types without the field are left alone.
+         * @param {*} items // The documents from buildChildDocuments, in creation order
+         * @param {*} orderField // The order field reference name, or null when unknown
+         * @param {*} baseRanks // The rank to count up from, per parent id
+         */
+        function setBacklogOrder(items, orderField, baseRanks) {
+
+            if (!orderField || items.length == 0) {
+                return Q.when(items);
+            }
+
+            var typeNames = [];
+            items.forEach(function (item) {
+                if (typeNames.indexOf(item.type) === -1) {
+                    typeNames.push(item.type);
+                }
+            });
+
+            return getWorkItemTypeFields(typeNames)
+                .then(function (fieldsByType) {
+                    var ranks = {};
+                    items.forEach(function (item) {
+                        var typeFields = fieldsByType[item.type];
+                        if (!typeFields || typeFields.indexOf(orderField.toLowerCase()) === -1 || getPatchValue(item.document, orderField) !== null) {
+                            return;
+                        }
+                        var rank = (ranks.hasOwnProperty(item.parentId) ? ranks[item.parentId] : (parseFloat(baseRanks[item.parentId]) || 0)) + 1;
+                        ranks[item.parentId] = rank;
+                        setPatchValue(item.document, orderField, rank);
+                    });
+                    return items;
+                }, function (err) {
+                    WriteLog('Failed to load work item type fields, children are not ranked: ' + getErrorMessage(err));
+                    return items;
                 });
         }
 
-        function AddTasksOnGrid(workItemId) {
+        // The highest rank among the parent's children, or the parent's own rank when it has none ranked; null when nothing is ranked
+        function getLastChildRank(parentWorkItem, orderField) {
 
-            return AddTasks(workItemId, null)
+            if (!orderField) {
+                return Q.when(null);
+            }
+            var parentRank = parentWorkItem.fields ? parentWorkItem.fields[orderField] : null;
+
+            return getChildren(_WorkItemRestClient.getClient(), parentWorkItem.relations, [orderField])
+                .then(function (children) {
+                    var ranks = children
+                        .map(function (child) { return parseFloat(child.fields[orderField]); })
+                        .filter(function (rank) { return !isNaN(rank); });
+                    return ranks.length > 0 ? Math.max.apply(null, ranks) : parentRank;
+                }, function (err) {
+                    WriteLog('Failed to load the ranks of the existing children: ' + getErrorMessage(err));
+                    return parentRank;
+                });
+        }
+
+        /**
+         * The link types to link a template's work item to its parent with, as reference names seen
+         * from the parent. "linkType" is one name or a list: "child", "related", "testedBy", "tests",
+         * "duplicate", "duplicateOf", "successor", "predecessor" (case and spaces ignored), or the
+         * reference name of any link type, e.g. "System.LinkTypes.Related". Throws on unknown names.
+         * @param {*} taskTemplate 
+         */
+        function getTemplateLinkTypes(taskTemplate) {
+            var linkType = getTemplateSettings(taskTemplate).linkType;
+            if (linkType == null || linkType === '') {
+                return [LINK_TYPES.child];
+            }
+            return (Array.isArray(linkType) ? linkType : [linkType]).map(function (name) {
+                name = String(name);
+                if (name.indexOf('.') !== -1) {
+                    return name;
+                }
+                var key = name.replace(/[\s-]/g, '').toLowerCase();
+                if (!LINK_TYPES.hasOwnProperty(key)) {
+                    throw new Error('Unknown link type "' + name + '". Use ' + Object.keys(LINK_TYPES).join(', ') + ' or a link type reference name.');
+                }
+                return LINK_TYPES[key];
+            });
+        }
+
+        // The same link seen from the other end: Forward and Reverse swap, other link types are symmetric
+        function getReverseLinkType(linkType) {
+            if (/-Forward$/.test(linkType)) {
+                return linkType.replace(/-Forward$/, '-Reverse');
+            }
+            if (/-Reverse$/.test(linkType)) {
+                return linkType.replace(/-Reverse$/, '-Forward');
+            }
+            return linkType;
+        }
+
+        // The link types of all the templates, for finding the work items they created earlier. Invalid settings are reported when creating.
+        function getLinkTypesInUse(taskTemplates) {
+            var linkTypes = [LINK_TYPES.child];
+            taskTemplates.forEach(function (taskTemplate) {
+                try {
+                    getTemplateLinkTypes(taskTemplate).forEach(function (linkType) {
+                        if (linkTypes.indexOf(linkType) === -1) {
+                            linkTypes.push(linkType);
+                        }
+                    });
+                } catch (e) {
+                    return;
+                }
+            });
+            return linkTypes;
+        }
+
+        /**
+         * The parent relations a template copies to its work item with "copyRelations": true for
+         * hyperlinks, artifact links (repos, branches, commits, pull requests...) and attachments,
+         * or a list of those kinds, e.g. ["hyperlink", "artifact"]. Only the attributes that can be
+         * set (name, comment) are copied.
+         * @param {*} taskTemplate 
+         * @param {*} relations // The parent's relations
+         */
+        function getCopiedRelations(taskTemplate, relations) {
+            var copy = getTemplateSettings(taskTemplate).copyRelations;
+            if (!copy) {
+                return [];
+            }
+            var kinds = (copy === true) ? Object.keys(COPIED_RELATIONS) : _Filters.toTagArray(copy);
+            var rels = kinds.map(function (kind) {
+                var key = kind.toLowerCase().replace(/s$/, '');
+                if (!COPIED_RELATIONS.hasOwnProperty(key)) {
+                    throw new Error('Unknown relation kind "' + kind + '" in copyRelations. Use ' + Object.keys(COPIED_RELATIONS).join(', ') + '.');
+                }
+                return COPIED_RELATIONS[key];
+            });
+
+            return (relations || [])
+                .filter(function (relation) { return rels.indexOf(relation.rel) !== -1; })
+                .map(function (relation) {
+                    var attributes = {};
+                    if (relation.attributes && relation.attributes.name && relation.rel === COPIED_RELATIONS.artifact) {
+                        attributes.name = relation.attributes.name;
+                    }
+                    if (relation.attributes && relation.attributes.comment) {
+                        attributes.comment = relation.attributes.comment;
+                    }
+                    return { rel: relation.rel, url: relation.url, attributes: attributes };
+                });
+        }
+
+        // The "children" setting of a template: names/ids of team templates, or inline template objects
+        function getNestedTemplateRefs(taskTemplate) {
+            var children = getTemplateSettings(taskTemplate).children;
+            if (children == null) {
+                return [];
+            }
+            return Array.isArray(children) ? children : [children];
+        }
+
+        /**
+         * Turn the "children" setting of a template into templates. A string names a team template
+         * (by name or id, case-insensitive); an object is an inline template:
+         * { "workItemType": "Task", "fields": { ... }, "children": [ ... ] }.
+         * References that cannot be resolved are recorded as failed on the run.
+         * @param {*} taskTemplate 
+         * @param {*} teamTemplates // All team templates (references, without fields)
+         * @param {*} run 
+         */
+        function resolveNestedTemplates(taskTemplate, teamTemplates, run) {
+
+            var requests = getNestedTemplateRefs(taskTemplate).map(function (ref, index) {
+
+                if (ref !== null && typeof ref === 'object') {
+                    // Every other key is a setting, as in the JSON of a team template's description
+                    var settings = {};
+                    Object.keys(ref).forEach(function (key) {
+                        if (key !== 'name' && key !== 'workItemType' && key !== 'fields') {
+                            settings[key] = ref[key];
+                        }
+                    });
+                    var inline = {
+                        id: taskTemplate.id + '/' + index,
+                        name: ref.name || (getTemplateName(taskTemplate) + ' > ' + (ref.workItemType || 'child') + ' ' + (index + 1)),
+                        workItemTypeName: ref.workItemType,
+                        fields: ref.fields || {},
+                        description: JSON.stringify(settings)
+                    };
+                    if (!inline.workItemTypeName) {
+                        addFailed(run, inline, new Error('Nested template ' + (index + 1) + ' of ' + getTemplateName(taskTemplate) + ' has no "workItemType"'));
+                        return Q.when(null);
+                    }
+                    return Q.when(inline);
+                }
+
+                var name = String(ref).toLowerCase();
+                var match = teamTemplates.filter(function (template) {
+                    return template.id.toLowerCase() === name || template.name.toLowerCase() === name;
+                })[0];
+                if (!match) {
+                    addFailed(run, { name: String(ref) }, new Error('Nested template "' + ref + '" of ' + getTemplateName(taskTemplate) + ' was not found in the team templates'));
+                    return Q.when(null);
+                }
+                return Q(getTemplate(match))
+                    .then(null, function (err) {
+                        addFailed(run, match, err);
+                        return null;
+                    });
+            });
+
+            // Templates with an "order" setting first, by that number; the others as listed
+            return Q.all(requests)
+                .then(function (templates) {
+                    return templates
+                        .filter(function (template) { return template != null; })
+                        .map(function (template, index) {
+                            var order = parseFloat(getTemplateSettings(template).order);
+                            return { template: template, order: isNaN(order) ? Infinity : order, index: index };
+                        })
+                        .sort(function (a, b) { return (a.order - b.order) || (a.index - b.index); })
+                        .map(function (entry) { return entry.template; });
+                });
+        }
+
+        /**
+         * All templates of the team and its shared sources, of any work item type (loaded once per page).
+         * @param {*} reload // Load them again, for pages that stay open while the templates are edited
+         */
+        function getTeamTemplates(reload) {
+            if (teamTemplatesRequest == null || reload) {
+                var request = Q(_Library.getTemplates(ctx.project.id, ctx.team.id))
+                    .then(null, function (err) {
+                        if (teamTemplatesRequest === request) {
+                            teamTemplatesRequest = null;
+                        }
+                        throw err;
+                    });
+                teamTemplatesRequest = request;
+            }
+            return teamTemplatesRequest;
+        }
+
+        // Add relations to the work item open in the form and save it
+        function saveParentForm(service, relations) {
+            // Wrap addWorkItemRelations to normalize return type (some SDKs don't support .catch)
+            return Q.Promise(function (resolve, reject) {
+                try {
+                    var relResult = service.addWorkItemRelations(relations);
+                    if (relResult && typeof relResult.then === 'function') {
+                        // Use then(success, error) to support jQuery/Q-style promises
+                        relResult.then(function () { resolve(); }, function (e) { reject(e); });
+                    } else {
+                        // Synchronous/no promise
+                        resolve();
+                    }
+                } catch (e) {
+                    reject(e);
+                }
+            }).then(function () {
+                return saveForm(service);
+            });
+        }
+
+        function saveForm(service) {
+            // Prefer save() which returns a promise to avoid race conditions on first run
+            if (typeof service.save === 'function') {
+                return Q(service.save());
+            }
+            // Fallback to beginSaveWorkItem if save() is not available
+            return Q.Promise(function (resolve, reject) {
+                try {
+                    service.beginSaveWorkItem(function () { resolve(); }, function (error) { reject(error); });
+                } catch (e) { reject(e); }
+            });
+        }
+
+        // Take back relations added to the open form that could not be saved
+        function removeFormRelations(service, relations) {
+            if (typeof service.removeWorkItemRelations !== 'function') {
+                return Q.when();
+            }
+            return Q.fcall(function () {
+                return service.removeWorkItemRelations(relations);
+            }).then(null, function (err) {
+                WriteLog('Failed to remove the links from the parent form: ' + getErrorMessage(err));
+            });
+        }
+
+        /**
+         * Undo the children created in a run: each is moved to the recycle bin, which also removes
+         * its link from the parent. The run's created entries move to run.rolledBack; a child that
+         * cannot be deleted stays in created and gets a warning. Resolves with an empty list.
+         * @param {*} run 
+         */
+        function rollbackRun(run) {
+
+            var witClient = _WorkItemRestClient.getClient();
+            var entries = run.created;
+            run.created = [];
+
+            WriteLog('Rolling back ' + entries.length + ' child work item(s) of work item ' + run.parentId + '.');
+
+            var chain = Q.when();
+            entries.forEach(function (entry) {
+                chain = chain.then(function () {
+                    // destroy = false: recycle bin, so the child can still be restored
+                    return Q(witClient.deleteWorkItem(entry.id, false))
+                        .then(function () {
+                            run.rolledBack.push(entry);
+                        }, function (err) {
+                            WriteLog('Failed to roll back work item ' + entry.id + ': ' + getErrorMessage(err));
+                            run.created.push(entry);
+                            run.warnings.push('Work item ' + entry.id + ' (template: ' + entry.templateName + ') could not be rolled back: ' + getErrorMessage(err));
+                        });
+                });
+            });
+
+            return chain.then(function () {
+                return [];
+            });
+        }
+
+        /**
+         * Create or update work items through the $batch endpoint. Each item is { type, document }
+         * to create a work item of that type, or { id, document } to update an existing one.
+         * Resolves with one result per item, in order: { workItem } or { error }. The requests in
+         * a batch are independent, so one failing does not stop the others. Servers without the
+         * endpoint get the documents one at a time.
+         * @param {*} items 
+         */
+        function saveWorkItemsBatch(items) {
+
+            var chunks = [];
+            for (var i = 0; i < items.length; i += BATCH_SIZE) {
+                chunks.push(items.slice(i, i + BATCH_SIZE));
+            }
+
+            var results = [];
+            var chain = Q.when();
+            chunks.forEach(function (chunk) {
+                chain = chain.then(function () {
+                    var requests = chunk.map(function (item) {
+                        return {
+                            method: 'PATCH',
+                            uri: (item.id != null
+                                ? '/_apis/wit/workitems/' + item.id
+                                : '/' + encodeURIComponent(ctx.project.name) + '/_apis/wit/workitems/$' + encodeURIComponent(item.type)) + '?api-version=' + BATCH_API_VERSION,
+                            headers: { 'Content-Type': 'application/json-patch+json' },
+                            body: item.document
+                        };
+                    });
+
+                    return sendBatch(requests)
+                        .then(function (responses) {
+                            // One result per item, in order: a missing response is a failure, surplus ones are ignored
+                            if (responses.length != chunk.length) {
+                                WriteLog('The $batch endpoint returned ' + responses.length + ' responses for ' + chunk.length + ' work items.');
+                            }
+                            return chunk.map(function (item, index) {
+                                return index < responses.length
+                                    ? getBatchResult(responses[index])
+                                    : { error: { message: 'No response for this work item in the $batch response' } };
+                            });
+                        }, function (err) {
+                            if (err && (err.status == 404 || err.status == 405)) {
+                                WriteLog('The work item $batch endpoint is not available, saving work items one at a time.');
+                                return saveWorkItemsOneByOne(chunk);
+                            }
+                            return chunk.map(function () { return { error: err }; });
+                        })
+                        .then(function (chunkResults) {
+                            results = results.concat(chunkResults);
+                        });
+                });
+            });
+
+            return chain.then(function () {
+                return results;
+            });
+        }
+
+        // The result of one request of a $batch: its body is JSON text, which an error response may not hold
+        function getBatchResult(response) {
+            var body = response.body;
+            if (typeof body === 'string') {
+                try {
+                    body = body ? JSON.parse(body) : null;
+                } catch (e) {
+                    return { error: { message: 'HTTP ' + response.code } };
+                }
+            }
+            if (response.code >= 200 && response.code < 300) {
+                return body ? { workItem: body } : { error: { message: 'HTTP ' + response.code } };
+            }
+            return { error: (body && body.message) ? body : { message: 'HTTP ' + response.code } };
+        }
+
+        function saveWorkItemsOneByOne(items) {
+            var witClient = _WorkItemRestClient.getClient();
+            var results = [];
+            var chain = Q.when();
+            items.forEach(function (item) {
+                chain = chain.then(function () {
+                    var request = (item.id != null)
+                        ? witClient.updateWorkItem(item.document, item.id)
+                        : witClient.createWorkItem(item.document, ctx.project.name, item.type);
+                    return Q(request)
+                        .then(function (workItem) {
+                            results.push({ workItem: workItem });
+                        }, function (err) {
+                            results.push({ error: err });
+                        });
+                });
+            });
+            return chain.then(function () {
+                return results;
+            });
+        }
+
+        // POST to the collection's work item $batch endpoint, authenticated with the extension's access token.
+        // The SDK's work item REST client has no method for this endpoint (getWorkItemsBatch only reads),
+        // so this is the one request the extension sends itself.
+        function sendBatch(requests) {
+            return Q(VSS.getAccessToken())
+                .then(function (accessToken) {
+                    return Q.Promise(function (resolve, reject) {
+                        var xhr = new XMLHttpRequest();
+                        xhr.open('POST', ctx.collection.uri + '_apis/wit/$batch?api-version=' + BATCH_API_VERSION);
+                        xhr.setRequestHeader('Authorization', 'Bearer ' + accessToken.token);
+                        xhr.setRequestHeader('Content-Type', 'application/json');
+                        xhr.onload = function () {
+                            var response = null;
+                            try {
+                                response = JSON.parse(xhr.responseText);
+                            } catch (e) { }
+                            if (xhr.status >= 200 && xhr.status < 300 && response) {
+                                resolve(response.value || []);
+                            } else {
+                                reject({ status: xhr.status, message: (response && response.message) || ('HTTP ' + xhr.status + ' ' + xhr.statusText) });
+                            }
+                        };
+                        xhr.onerror = function () {
+                            reject(new Error('Network error calling the work item $batch endpoint'));
+                        };
+                        xhr.send(JSON.stringify(requests));
+                    });
+                });
+        }
+
+        function AddTasksOnForm(service) {
+
+            return service.getId()
+                .then(function (workItemId) {
+                    return AddTasks(workItemId, service)
+                });
+        }
+
+        function AddTasksOnGrid(workItemId) {
+
+            return AddTasks(workItemId, null)
+        }
+
+        // On a backlog or query results: the preview for a single work item, bulk mode for several, then a single reload
+        function AddTasksToSelection(context) {
+
+            var workItemIds = (context.workItemIds && context.workItemIds.length > 0) ? context.workItemIds : (context.id ? [context.id] : []);
+            if (workItemIds.length == 0) {
+                return Q.when();
+            }
+
+            var runs = workItemIds.length == 1
+                ? AddTasksOnGrid(workItemIds[0]).then(function (run) { return [run]; })
+                : BulkAddTasks(workItemIds);
+
+            return runs
+                .then(function (runs) {
+                    ReloadAfterRuns(runs);
+                }, function (err) {
+                    WriteLog('Failed to create child tasks: ' + getErrorMessage(err));
+                    ShowDialog('Failed to create child tasks: ' + getErrorMessage(err));
+                });
+        }
+
+        // Reload the grid once after all parents are done, so it shows the new children
+        function ReloadAfterRuns(runs) {
+            var created = runs.some(function (run) { return run && run.created.length > 0; });
+            if (created) {
+                VSS.getService(VSS.ServiceIds.Navigation).then(function (navigationService) {
+                    navigationService.reload();
+                });
+            }
+        }
+
+        /**
+         * Load everything a run needs for one parent work item: the team settings (with the team's
+         * iterations, area paths and backlog order field), the parent with its relations, its child work item types and the team templates for those types (in
+         * creation order, see sortTemplates). Resolves with null when the parent has no child types.
+         * @param {*} workItemId 
+         * @param {*} teamSettingsRequest // Team settings already requested with loadTeamSettings (optional, for bulk runs)
+         */
+        function loadParent(workItemId, teamSettingsRequest) {
+
+            var witClient = _WorkItemRestClient.getClient();
+
+            return (teamSettingsRequest || loadTeamSettings())
+                .then(function (teamSettings) {
+
+                    // Get the current values for a few of the common fields
+                    return witClient.getWorkItem(workItemId, null, null, _WorkItemContracts.WorkItemExpand.Relations)
+                        .then(function (value) {
+                            var currentWorkItem = value.fields;
+
+                            currentWorkItem['System.Id'] = workItemId;
+
+                            var workItemType = currentWorkItem["System.WorkItemType"];
+                            return GetChildTypes(witClient, workItemType)
+                                .then(function (childTypes) {
+                                    if (childTypes == null)
+                                        return null;
+                                    // get Templates
+                                    return getTemplates(childTypes)
+                                        .then(function (response) {
+                                            return {
+                                                teamSettings: teamSettings,
+                                                workItem: value,
+                                                currentWorkItem: currentWorkItem,
+                                                childTypes: childTypes,
+                                                // Create children by "order", then alphabetically.
+                                                templates: sortTemplates(response)
+                                            };
+                                        });
+                                });
+                        });
+                });
+        }
+
+        // The team settings, with what the runs need besides them
+        function loadTeamSettings() {
+
+            var workClient = workRestClient.getClient();
+
+            var team = {
+                projectId: ctx.project.id,
+                teamId: ctx.team.id
+            };
+
+            return Q.all([workClient.getTeamSettings(team), getTeamIterations(workClient, team), getTeamFieldValues(workClient, team), getOrderField(workClient, team)])
+                .spread(function (teamSettings, iterations, teamFieldValues, orderField) {
+                    // Kept with the team settings for resolving tokens such as @nextiteration and @teamAreaPath
+                    teamSettings.iterations = iterations;
+                    teamSettings.teamFieldValues = teamFieldValues;
+                    // and for ranking the children (Stack Rank or Backlog Priority, depending on the process)
+                    teamSettings.orderField = orderField;
+                    return teamSettings;
+                });
+        }
+
+        // The team's sprints with their dates; empty when they cannot be loaded
+        function getTeamIterations(workClient, team) {
+            return Q(workClient.getTeamIterations(team))
+                .then(null, function (err) {
+                    WriteLog('Failed to load team iterations: ' + getErrorMessage(err));
+                    return [];
+                });
+        }
+
+        // The team's area paths (for @teamAreaPath); null when they cannot be loaded
+        function getTeamFieldValues(workClient, team) {
+            return Q(workClient.getTeamFieldValues(team))
+                .then(null, function (err) {
+                    WriteLog('Failed to load team area paths: ' + getErrorMessage(err));
+                    return null;
+                });
+        }
+
+        // The field the team's backlogs are ordered by; null when the backlog configuration cannot be loaded
+        function getOrderField(workClient, team) {
+            return Q(workClient.getBacklogConfigurations(team))
+                .then(function (configuration) {
+                    var typeFields = configuration && configuration.backlogFields && configuration.backlogFields.typeFields;
+                    return (typeFields && typeFields.Order) || null;
+                }, function (err) {
+                    WriteLog('Failed to load the backlog configuration: ' + getErrorMessage(err));
+                    return null;
+                });
+        }
+
+        function AddTasks(workItemId, service) {
+
+            var witClient = _WorkItemRestClient.getClient();
+
+            return loadParent(workItemId)
+                .then(function (parent) {
+                    if (parent == null)
+                        return;
+                    if (parent.templates.length == 0) {
+                        ShowDialog('No ' + parent.childTypes + ' templates found. Please add ' + parent.childTypes + ' templates for the project team.');
+                        return;
+                    }
+
+                    var currentWorkItem = parent.currentWorkItem;
+                    var teamSettings = parent.teamSettings;
+                    var run = createRunResult(currentWorkItem);
+
+                    return getMatchingTemplates(currentWorkItem, parent.templates, run)
+                        .then(function (matchingTemplates) {
+                            return getNewTemplates(witClient, parent, matchingTemplates, run);
+                        })
+                        .then(function (templates) {
+                            var newTemplates = templates.newTemplates;
+                            if (newTemplates.length == 0) {
+                                return ShowReportDialog([run]);
+                            }
+                            // Let the user pick which of the matching templates to create
+                            return ShowPreviewDialog(currentWorkItem, newTemplates, teamSettings, templates.duplicateTemplates)
+                                .then(function (selection) {
+                                    if (selection == null) {
+                                        return;
+                                    }
+                                    var selectedTemplates = selection.templates;
+                                    run.allOrNothing = selection.allOrNothing;
+                                    newTemplates.forEach(function (taskTemplate) {
+                                        if (selectedTemplates.indexOf(taskTemplate) === -1) {
+                                            addSkipped(run, taskTemplate, 'Not selected');
+                                        }
+                                    });
+                                    return applyTemplates(witClient, service, parent, selectedTemplates, run)
+                                        .then(function () {
+                                            return ShowReportDialog([run]);
+                                        })
+                                        .then(function () {
+                                            return run;
+                                        });
+                                });
+                        });
+                })
+                .then(null, function (err) {
+                    WriteLog('Failed to create child tasks on work item ' + workItemId + ': ' + getErrorMessage(err));
+                    ShowDialog('Failed to create child tasks: ' + getErrorMessage(err));
+                    return null;
+                });
+        }
+
+        /**
+         * Apply the templates to several selected work items at once (backlog or query results):
+         * find what each parent would get, confirm the totals once, create the children of up to
+         * BULK_CONCURRENCY parents at a time with a progress dialog, then show one report for all
+         * parents. Resolves with the runs of the parents that had children to create.
+         * @param {*} workItemIds 
+         */
+        function BulkAddTasks(workItemIds) {
+
+            var witClient = _WorkItemRestClient.getClient();
+            var teamSettingsRequest = loadTeamSettings();
+
+            return openProgressDialog('Create Child Tasks - Checking', 'Checking the templates of ' + workItemIds.length + ' work item(s)...', workItemIds.length)
+                .then(function (progress) {
+                    var done = 0;
+                    return mapLimit(workItemIds, BULK_CONCURRENCY, function (workItemId) {
+                        return planParent(witClient, workItemId, teamSettingsRequest)
+                            .then(function (plan) {
+                                progress.update(++done, workItemIds.length);
+                                return plan;
+                            });
+                    })
+                        .then(function (plans) {
+                            progress.close();
+                            return plans;
+                        });
+                })
+                .then(function (plans) {
+                    var toCreate = plans.filter(function (plan) { return plan.newTemplates.length > 0; });
+                    if (toCreate.length == 0) {
+                        ShowDialog('None of the ' + workItemIds.length + ' selected work items has child tasks to create.');
+                        return [];
+                    }
+                    return ShowBulkDialog(plans)
+                        .then(function (selection) {
+                            if (selection == null) {
+                                return [];
+                            }
+                            return openProgressDialog('Create Child Tasks - Creating', 'Creating child work items...', toCreate.length)
+                                .then(function (progress) {
+                                    var done = 0;
+                                    return mapLimit(toCreate, BULK_CONCURRENCY, function (plan) {
+                                        plan.run.allOrNothing = selection.allOrNothing;
+                                        return applyTemplates(witClient, null, plan.parent, plan.newTemplates, plan.run)
+                                            .then(null, function (err) {
+                                                WriteLog('Failed to create the children of work item ' + plan.workItemId + ': ' + getErrorMessage(err));
+                                                plan.run.warnings.push('The run stopped: ' + getErrorMessage(err));
+                                            })
+                                            .then(function () {
+                                                progress.update(++done, toCreate.length, 'Created the children of work item ' + plan.workItemId + '.');
+                                                return plan.run;
+                                            });
+                                    })
+                                        .then(function (runs) {
+                                            progress.close();
+                                            return ShowReportDialog(runs)
+                                                .then(function () {
+                                                    return runs;
+                                                });
+                                        });
+                                });
+                        });
+                });
+        }
+
+        /**
+         * Find what a bulk run would create on one parent. Resolves with
+         * { workItemId, parent, run, newTemplates, note }; note says why nothing is created.
+         * @param {*} witClient 
+         * @param {*} workItemId 
+         * @param {*} teamSettingsRequest 
+         */
+        function planParent(witClient, workItemId, teamSettingsRequest) {
+
+            var plan = { workItemId: workItemId, parent: null, run: null, newTemplates: [], note: null };
+
+            return loadParent(workItemId, teamSettingsRequest)
+                .then(function (parent) {
+                    if (parent == null || parent.templates.length == 0) {
+                        plan.note = 'No child task templates for this work item type';
+                        return plan;
+                    }
+                    plan.parent = parent;
+                    plan.run = createRunResult(parent.currentWorkItem);
+                    return getMatchingTemplates(parent.currentWorkItem, parent.templates, plan.run)
+                        .then(function (matchingTemplates) {
+                            return getNewTemplates(witClient, parent, matchingTemplates, plan.run);
+                        })
+                        .then(function (templates) {
+                            plan.newTemplates = templates.newTemplates;
+                            if (plan.newTemplates.length == 0) {
+                                plan.note = templates.duplicateTemplates.length > 0 ? 'Already created' : 'No template matches';
+                            }
+                            return plan;
+                        });
+                })
+                .then(null, function (err) {
+                    WriteLog('Failed to check the templates of work item ' + workItemId + ': ' + getErrorMessage(err));
+                    plan.note = 'Error: ' + getErrorMessage(err);
+                    return plan;
+                });
+        }
+
+        // Run the task on every item, with at most limit running at a time. Resolves with the results in item order.
+        function mapLimit(items, limit, task) {
+
+            var results = [];
+            var next = 0;
+            var worker = function () {
+                if (next >= items.length) {
+                    return Q.when();
+                }
+                var index = next++;
+                return Q(task(items[index], index))
+                    .then(function (result) {
+                        results[index] = result;
+                        return worker();
+                    });
+            };
+
+            var workers = [];
+            for (var i = 0; i < Math.min(limit, items.length); i++) {
+                workers.push(worker());
+            }
+            return Q.all(workers)
+                .then(function () {
+                    return results;
+                });
+        }
+
+        /**
+         * Expand the matching templates (foreach) and leave out the ones that already have a child
+         * on the parent, recording them as skipped. Resolves with { newTemplates, duplicateTemplates }.
+         * @param {*} witClient 
+         * @param {*} parent // See loadParent
+         * @param {*} matchingTemplates 
+         * @param {*} run 
+         */
+        function getNewTemplates(witClient, parent, matchingTemplates, run) {
+
+            var currentWorkItem = parent.currentWorkItem;
+
+            return expandTemplates(currentWorkItem, matchingTemplates, run)
+                .then(function (expandedTemplates) {
+                    return Q.all([expandedTemplates, getExistingTemplateIds(witClient, parent.workItem.relations, getLinkTypesInUse(expandedTemplates))]);
+                })
+                .spread(function (expandedTemplates, existingTemplateIds) {
+                    // Skip templates that already have a child on this parent
+                    var newTemplates = [];
+                    var duplicateTemplates = [];
+                    expandedTemplates.forEach(function (taskTemplate) {
+                        if (existingTemplateIds.indexOf(taskTemplate.id.toLowerCase()) !== -1) {
+                            WriteLog('Skipping template ' + getTemplateName(taskTemplate) + ': a child from this template already exists on work item ' + currentWorkItem['System.Id'] + '.');
+                            addSkipped(run, taskTemplate, 'A child from this template already exists');
+                            duplicateTemplates.push(taskTemplate);
+                        } else {
+                            newTemplates.push(taskTemplate);
+                        }
+                    });
+                    return { newTemplates: newTemplates, duplicateTemplates: duplicateTemplates };
+                });
+        }
+
+        /**
+         * Create the children of the selected templates on the parent: check their fields, split the
+         * estimate and create them (see createChildren). Resolves when the run is complete.
+         * @param {*} witClient 
+         * @param {*} service // The work item form service, or null on the grid
+         * @param {*} parent // See loadParent
+         * @param {*} selectedTemplates 
+         * @param {*} run 
+         */
+        function applyTemplates(witClient, service, parent, selectedTemplates, run) {
+
+            var currentWorkItem = parent.currentWorkItem;
+            var teamSettings = parent.teamSettings;
+
+            return validateTemplateFields(witClient, currentWorkItem, selectedTemplates, teamSettings, run)
+                .then(function (validTemplates) {
+                    // All or nothing: a template that cannot be applied stops the whole run before anything is created
+                    if (run.allOrNothing && validTemplates.length < selectedTemplates.length) {
+                        validTemplates.forEach(function (taskTemplate) {
+                            addSkipped(run, taskTemplate, 'Not created: another template cannot be applied (all or nothing)');
+                        });
+                        return;
+                    }
+                    return getEstimates(currentWorkItem, validTemplates, run.warnings)
+                        .then(function (estimates) {
+                            return createChildren(service, parent.workItem, currentWorkItem, validTemplates, teamSettings, run, estimates);
+                        });
+                });
+        }
+
+        // Remember the fields changed on the form, so that the next save can tell which triggers were reached
+        function TrackFieldChanges(args) {
+            var fields = changedFieldsByWorkItem[args.id] || [];
+            Object.keys(args.changedFields || {}).forEach(function (fieldName) {
+                if (fields.indexOf(fieldName.toLowerCase()) === -1) {
+                    fields.push(fieldName.toLowerCase());
+                }
+            });
+            changedFieldsByWorkItem[args.id] = fields;
+        }
+
+        // Forget the changes of a form that was reset, refreshed or closed without saving
+        function ForgetFieldChanges(args) {
+            delete changedFieldsByWorkItem[args.id];
+        }
+
+        /**
+         * After the work item form is saved, create the children of the templates whose "trigger"
+         * was reached by the save, without asking. A trigger is a condition in the applywhen syntax
+         * (or an array of them, any of which may match), e.g. { "System.State": "Approved" }: it is
+         * reached when one of its fields changed since the last save and the condition now matches.
+         * The template's own filter and the protection against duplicate children apply as for the
+         * toolbar action. The results dialog is shown only when something was created or failed.
+         * @param {*} args // The onSaved arguments: { id }
+         * @param {*} service // The work item form service
+         */
+        function AutoCreateOnSave(args, service) {
+
+            var workItemId = args.id;
+            // A new work item got its id with this save
+            var changedFields = (changedFieldsByWorkItem[workItemId] || []).concat(changedFieldsByWorkItem[0] || []);
+            delete changedFieldsByWorkItem[workItemId];
+            delete changedFieldsByWorkItem[0];
+
+            // Saving the parent to link the children raises onSaved again
+            if (changedFields.length == 0 || autoCreateRunning[workItemId]) {
+                return Q.when();
+            }
+            autoCreateRunning[workItemId] = true;
+
+            // Check the team's templates for a trigger on a changed field before loading the parent.
+            // The observer lives as long as the form, so each save reads the templates as they are now.
+            return getTeamTemplates(true)
+                .then(function (teamTemplates) {
+                    var hasTrigger = teamTemplates.some(function (template) {
+                        return getTriggerFields(template).some(function (fieldName) {
+                            return changedFields.indexOf(fieldName.toLowerCase()) !== -1;
+                        });
+                    });
+                    return hasTrigger ? AutoCreateTasks(workItemId, service, changedFields) : null;
+                })
+                .then(function (run) {
+                    autoCreateRunning[workItemId] = false;
+                    return run;
+                }, function (err) {
+                    autoCreateRunning[workItemId] = false;
+                    WriteLog('Failed to create children on save of work item ' + workItemId + ': ' + getErrorMessage(err));
+                });
+        }
+
+        // Create the children of the templates triggered on the parent (see AutoCreateOnSave). Resolves with the run, or null when no trigger was reached.
+        function AutoCreateTasks(workItemId, service, changedFields) {
+
+            var witClient = _WorkItemRestClient.getClient();
+
+            return loadParent(workItemId)
+                .then(function (parent) {
+                    if (parent == null)
+                        return null;
+
+                    var currentWorkItem = parent.currentWorkItem;
+                    var triggeredTemplates = parent.templates.filter(function (template) {
+                        return isTriggerReached(template, currentWorkItem, changedFields);
+                    });
+                    if (triggeredTemplates.length == 0) {
+                        return null;
+                    }
+                    WriteLog('Trigger reached on work item ' + workItemId + ' for ' + triggeredTemplates.map(getTemplateName).join(', ') + '.');
+
+                    var run = createRunResult(currentWorkItem);
+                    run.allOrNothing = triggeredTemplates.some(function (template) {
+                        return getTemplateSettings(template).allOrNothing === true;
+                    });
+
+                    return getMatchingTemplates(currentWorkItem, triggeredTemplates, run)
+                        .then(function (matchingTemplates) {
+                            return getNewTemplates(witClient, parent, matchingTemplates, run);
+                        })
+                        .then(function (templates) {
+                            if (templates.newTemplates.length == 0) {
+                                return;
+                            }
+                            return applyTemplates(witClient, service, parent, templates.newTemplates, run);
+                        })
+                        .then(function () {
+                            if (run.created.length > 0 || run.failed.length > 0) {
+                                return ShowReportDialog([run]);
+                            }
+                        })
+                        .then(function () {
+                            return run;
+                        });
+                });
+        }
+
+        // The "trigger" setting of a template as an array of conditions; empty when the template has none
+        function getTriggers(template) {
+            var trigger = getTemplateSettings(template).trigger;
+            if (trigger == null) {
+                return [];
+            }
+            return Array.isArray(trigger) ? trigger : [trigger];
+        }
+
+        function getTriggerFields(template) {
+            var fields = [];
+            getTriggers(template).forEach(function (condition) {
+                fields = fields.concat(_Filters.getConditionFields(condition));
+            });
+            return fields;
+        }
+
+        // Whether the save reached one of the template's triggers: a trigger field changed and the condition matches now
+        function isTriggerReached(template, currentWorkItem, changedFields) {
+            return getTriggers(template).some(function (condition, index) {
+                var changed = _Filters.getConditionFields(condition).some(function (fieldName) {
+                    return changedFields.indexOf(fieldName.toLowerCase()) !== -1;
+                });
+                if (!changed) {
+                    return false;
+                }
+                try {
+                    return _Filters.evaluateCondition(condition, currentWorkItem, 'trigger[' + index + ']').matched;
+                } catch (e) {
+                    WriteLog('Invalid trigger in template ' + getTemplateName(template) + ': ' + getErrorMessage(e));
+                    return false;
+                }
+            });
+        }
+
+        /**
+         * Evaluate every template against the parent work item without creating anything, and show
+         * how each filter clause was decided and the JSON Patch document each child would be created with.
+         * @param {*} workItemId 
+         */
+        function ExplainTemplates(workItemId) {
+
+            return loadParent(workItemId)
+                .then(function (parent) {
+                    if (parent == null)
+                        return;
+                    if (parent.templates.length == 0) {
+                        ShowDialog('No ' + parent.childTypes + ' templates found. Please add ' + parent.childTypes + ' templates for the project team.');
+                        return;
+                    }
+
+                    var currentWorkItem = parent.currentWorkItem;
+
+                    var requests = parent.templates.map(function (template) {
+                        return getTemplate(template)
+                            .then(function (taskTemplate) {
+                                return expandTemplates(currentWorkItem, [taskTemplate], null)
+                                    .then(function (copies) {
+                                        return {
+                                            taskTemplate: taskTemplate,
+                                            copies: copies,
+                                            name: getTemplateName(taskTemplate),
+                                            workItemType: taskTemplate.workItemTypeName,
+                                            source: taskTemplate.source,
+                                            filter: explainTemplateFilter(currentWorkItem, taskTemplate)
+                                        };
+                                    });
+                            }, function (err) {
+                                return {
+                                    name: template.name,
+                                    workItemType: template.workItemTypeName,
+                                    error: 'Failed to load template: ' + getErrorMessage(err)
+                                };
+                            });
+                    });
+
+                    return Q.all(requests)
+                        .then(function (templates) {
+                            // Estimate shares are divided among the templates that match, as in a real run
+                            var warnings = [];
+                            var matchingTemplates = [];
+                            templates.forEach(function (explained) {
+                                if (explained.taskTemplate && explained.filter.matched) {
+                                    matchingTemplates = matchingTemplates.concat(explained.copies);
+                                }
+                            });
+                            return getEstimates(currentWorkItem, matchingTemplates, warnings)
+                                .then(function (estimates) {
+                                    templates.forEach(function (explained) {
+                                        if (!explained.taskTemplate) {
+                                            return;
+                                        }
+                                        // One document per child; a "foreach" template has one per item
+                                        explained.documents = explained.copies.map(function (copy) {
+                                            var explainedDocument = { label: copy.hasOwnProperty('foreachItem') ? 'item: ' + getForeachLabel(copy.foreachItem) : null };
+                                            try {
+                                                explainedDocument.document = createWorkItemFromTemplate(currentWorkItem, copy, parent.teamSettings, estimates[copy.id]);
+                                            } catch (e) {
+                                                explainedDocument.error = getErrorMessage(e);
+                                            }
+                                            return explainedDocument;
+                                        });
+                                        if (explained.copies.length == 0) {
+                                            explained.documents = [{ label: null, error: 'The "foreach" list is empty, so no child is created.' }];
+                                        }
+                                        delete explained.taskTemplate;
+                                        delete explained.copies;
+                                    });
+
+                                    var dialogOptions = {
+                                        title: 'Explain Child Tasks - ' + currentWorkItem['System.WorkItemType'] + ' ' + currentWorkItem['System.Id'] + ' (nothing is created)',
+                                        width: 900,
+                                        height: 600,
+                                        okText: 'Close'
+                                    };
+                                    return openContributionDialog('explain', dialogOptions, {
+                                        parentTitle: currentWorkItem['System.Title'],
+                                        templates: templates,
+                                        warnings: warnings
+                                    });
+                                });
+                        });
+                })
+                .then(null, function (err) {
+                    WriteLog('Failed to explain the templates of work item ' + workItemId + ': ' + getErrorMessage(err));
+                    ShowDialog('Failed to explain the templates: ' + getErrorMessage(err));
+                });
+        }
+
+        /**
+         * Check every template of the team against the project's work item types, fields, states,
+         * area and iteration paths and board columns, and list the problems found (see lint.js).
+         * Nothing is created.
+         */
+        function ValidateTemplates() {
+
+            return _Lint.validateTeamTemplates(ctx.project.id, ctx.team.id)
+                .then(function (templates) {
+                    var dialogOptions = {
+                        title: 'Validate Child Task Templates - ' + ctx.team.name,
+                        width: 900,
+                        height: 600,
+                        okText: 'Close'
+                    };
+                    return openContributionDialog('validate', dialogOptions, { templates: templates });
+                }, function (err) {
+                    ShowDialog('Failed to validate the templates: ' + getErrorMessage(err));
+                });
+        }
+
+        /**
+         * Create the result of a run on one parent work item. Every template considered during the
+         * run ends up in exactly one of the created, skipped or failed lists.
+         * @param {*} currentWorkItem 
+         */
+        function createRunResult(currentWorkItem) {
+            return {
+                id: createRunId(),
+                parentId: currentWorkItem['System.Id'],
+                parentType: currentWorkItem['System.WorkItemType'],
+                parentTitle: currentWorkItem['System.Title'],
+                created: [],
+                skipped: [],
+                failed: [],
+                rolledBack: [],
+                warnings: [],
+                allOrNothing: false
+            };
+        }
+
+        // A run id starts with the UTC time, so the ids of a parent's runs sort in the order they ran
+        function createRunId() {
+            var time = new Date().toISOString().replace(/[-:T]/g, '').substring(0, 14);
+            return time + '-' + Math.random().toString(36).substring(2, 6);
+        }
+
+        function addSkipped(run, taskTemplate, reason) {
+            run.skipped.push({ templateName: getTemplateName(taskTemplate), reason: reason });
+        }
+
+        function addFailed(run, taskTemplate, err) {
+            run.failed.push({ templateName: getTemplateName(taskTemplate), message: getErrorMessage(err) });
+        }
+
+        function addCreated(run, taskTemplate, created, parentId) {
+            var link = (created._links && created._links.html) ? created._links.html.href : null;
+            run.created.push({
+                templateName: getTemplateName(taskTemplate),
+                id: created.id,
+                // Set for nested children, which are created under another child rather than the run's parent
+                parentId: (parentId != null && parentId != run.parentId) ? parentId : null,
+                title: created.fields ? created.fields['System.Title'] : '',
+                url: link || (ctx.collection.uri + encodeURIComponent(ctx.project.name) + '/_workitems/edit/' + created.id)
+            });
+        }
+
+        /**
+         * Load the full definition of every template and keep the ones whose filters match the
+         * current work item. Templates that do not match or fail to load are recorded on the run.
+         * @param {*} currentWorkItem 
+         * @param {*} templates 
+         * @param {*} run 
+         */
+        function getMatchingTemplates(currentWorkItem, templates, run) {
+
+            var requests = templates.map(function (template) {
+                return getTemplate(template)
+                    .then(function (taskTemplate) {
+                        if (IsValidTemplateWIT(currentWorkItem, taskTemplate) && IsValidTemplateTitle(currentWorkItem, taskTemplate)) {
+                            return taskTemplate;
+                        }
+                        addSkipped(run, taskTemplate, 'Filter did not match');
+                        return null;
+                    }, function (err) {
+                        WriteLog('Failed to load template "' + template.name + '" (id: ' + template.id + '): ' + getErrorMessage(err));
+                        addFailed(run, template, err);
+                        return null;
+                    });
+            });
+
+            return Q.all(requests)
+                .then(function (taskTemplates) {
+                    return taskTemplates.filter(function (taskTemplate) { return taskTemplate != null; });
+                });
+        }
+
+        /**
+         * Leave out templates that set fields the child work item type does not have, instead of
+         * letting the create request fail. Skipped templates are recorded on the run.
+         * @param {*} witClient 
+         * @param {*} currentWorkItem 
+         * @param {*} taskTemplates 
+         * @param {*} teamSettings 
+         * @param {*} run 
+         */
+        function validateTemplateFields(witClient, currentWorkItem, taskTemplates, teamSettings, run) {
+
+            var typeNames = [];
+            taskTemplates.forEach(function (taskTemplate) {
+                if (typeNames.indexOf(taskTemplate.workItemTypeName) === -1) {
+                    typeNames.push(taskTemplate.workItemTypeName);
+                }
+            });
+
+            return getWorkItemTypeFields(typeNames)
+                .then(function (fieldsByType) {
+                    return taskTemplates.filter(function (taskTemplate) {
+                        var typeFields = fieldsByType[taskTemplate.workItemTypeName];
+                        var workItem;
+                        try {
+                            workItem = createWorkItemFromTemplate(currentWorkItem, taskTemplate, teamSettings);
+                        } catch (e) {
+                            WriteLog('Failed to evaluate template ' + getTemplateName(taskTemplate) + ': ' + getErrorMessage(e));
+                            addFailed(run, taskTemplate, e);
+                            return false;
+                        }
+                        var invalidFields = workItem
+                            .map(function (operation) { return operation.path.replace('/fields/', ''); })
+                            .filter(function (fieldName) { return typeFields && typeFields.indexOf(fieldName.toLowerCase()) === -1; });
+
+                        if (invalidFields.length > 0) {
+                            WriteLog('Skipping template ' + getTemplateName(taskTemplate) + ': unknown field(s) ' + invalidFields.join(', ') + '.');
+                            addSkipped(run, taskTemplate, 'Invalid field(s) for ' + taskTemplate.workItemTypeName + ': ' + invalidFields.join(', '));
+                            return false;
+                        }
+                        return true;
+                    });
+                }, function (err) {
+                    // Without the type definitions let the create request be the judge
+                    WriteLog('Failed to load work item type fields: ' + getErrorMessage(err));
+                    return taskTemplates;
+                });
+        }
+
+        // The lower-case field reference names of each work item type: { typeName: [...] } (loaded once per page)
+        function getWorkItemTypeFields(typeNames) {
+
+            var witClient = _WorkItemRestClient.getClient();
+            var requests = typeNames.map(function (typeName) {
+                if (!workItemTypeFieldsRequests.hasOwnProperty(typeName)) {
+                    workItemTypeFieldsRequests[typeName] = Q(witClient.getWorkItemType(VSS.getWebContext().project.name, typeName))
+                        .then(function (workItemType) {
+                            return (workItemType.fields || []).map(function (field) { return field.referenceName.toLowerCase(); });
+                        }, function (err) {
+                            delete workItemTypeFieldsRequests[typeName];
+                            throw err;
+                        });
+                }
+                return workItemTypeFieldsRequests[typeName];
+            });
+
+            return Q.all(requests)
+                .then(function (fields) {
+                    var fieldsByType = {};
+                    typeNames.forEach(function (typeName, index) {
+                        fieldsByType[typeName] = fields[index];
+                    });
+                    return fieldsByType;
+                });
+        }
+
+        /**
+         * Find the templates that already have a child on the parent work item, using the template
+         * tag that createWorkItemFromTemplate adds to every child. Resolves with lower-case template ids.
+         * @param {*} witClient 
+         * @param {*} relations // The relations of the parent work item
+         * @param {*} linkTypes // The link types the templates link their work items with
+         */
+        function getExistingTemplateIds(witClient, relations, linkTypes) {
+
+            return getChildren(witClient, relations, ['System.Tags'], linkTypes)
+                .then(function (children) {
+                    var templateIds = [];
+                    children.forEach(function (child) {
+                        _Filters.toTagArray(child.fields['System.Tags']).forEach(function (tag) {
+                            if (tag.toLowerCase().indexOf(TEMPLATE_TAG_PREFIX) === 0) {
+                                templateIds.push(tag.substring(TEMPLATE_TAG_PREFIX.length).toLowerCase());
+                            }
+                        });
+                    });
+                    return templateIds;
+                });
+        }
+
+        // Load the given fields of the children linked from the parent's relations (see getChildIds), leaving out deleted ones
+        function getChildren(witClient, relations, fields, linkTypes) {
+
+            var childIds = getChildIds(relations, linkTypes);
+            if (childIds.length == 0) {
+                return Q.when([]);
+            }
+
+            // The work items endpoint accepts at most 200 ids per request
+            var requests = [];
+            for (var i = 0; i < childIds.length; i += 200) {
+                requests.push(witClient.getWorkItems(childIds.slice(i, i + 200), fields, null, null, _WorkItemContracts.WorkItemErrorPolicy.Omit));
+            }
+
+            return Q.all(requests)
+                .then(function (responses) {
+                    var children = [];
+                    responses.forEach(function (response) {
+                        response.forEach(function (child) {
+                            // Deleted children come back as null
+                            if (child != null && child.fields != null) {
+                                children.push(child);
+                            }
+                        });
+                    });
+                    return children;
+                });
+        }
+
+        /**
+         * Find the children created by the most recent run on the parent, from the run tags they
+         * carry, together with the nested children the run created below them. Resolves with
+         * { runId, children: [{ id, title, workItemType }] }, or null when no child has a run tag.
+         * @param {*} witClient 
+         * @param {*} relations // The relations of the parent work item
+         */
+        function getLastRunChildren(witClient, relations) {
+
+            return getChildrenByRun(witClient, relations)
+                .then(function (runs) {
+                    var runIds = Object.keys(runs).sort();
+                    if (runIds.length == 0) {
+                        return null;
+                    }
+                    var runId = runIds[runIds.length - 1];
+                    return addRunDescendants(witClient, runId, runs[runId], 1, runs[runId])
+                        .then(function (children) {
+                            return { runId: runId, children: children };
+                        });
+                });
+        }
+
+        // Group the children linked from the relations by the run tag they carry: { runId: [{ id, title, workItemType }] }
+        function getChildrenByRun(witClient, relations) {
+
+            // Templates may link their work items with any link type, so every linked work item is a candidate
+            return getChildren(witClient, relations, ['System.Tags', 'System.Title', 'System.WorkItemType'], null)
+                .then(function (children) {
+                    var runs = {};
+                    children.forEach(function (child) {
+                        _Filters.toTagArray(child.fields['System.Tags']).forEach(function (tag) {
+                            if (tag.toLowerCase().indexOf(RUN_TAG_PREFIX) === 0) {
+                                var runId = tag.substring(RUN_TAG_PREFIX.length);
+                                (runs[runId] = runs[runId] || []).push({
+                                    id: child.id,
+                                    title: child.fields['System.Title'],
+                                    workItemType: child.fields['System.WorkItemType']
+                                });
+                            }
+                        });
+                    });
+                    return runs;
+                });
+        }
+
+        // Add the nested children the same run created below the given children, level by level. Found
+        // lists all work items found so far, since siblings linked to each other would be found again.
+        function addRunDescendants(witClient, runId, children, depth, found) {
+
+            if (children.length == 0 || depth >= MAX_TEMPLATE_DEPTH) {
+                return Q.when(children);
+            }
+
+            var ids = children.map(function (child) { return child.id; });
+            var requests = [];
+            for (var i = 0; i < ids.length; i += 200) {
+                requests.push(witClient.getWorkItems(ids.slice(i, i + 200), null, null, _WorkItemContracts.WorkItemExpand.Relations, _WorkItemContracts.WorkItemErrorPolicy.Omit));
+            }
+
+            return Q.all(requests)
+                .then(function (responses) {
+                    var relations = [];
+                    responses.forEach(function (response) {
+                        response.forEach(function (workItem) {
+                            if (workItem != null && workItem.relations) {
+                                relations = relations.concat(workItem.relations);
+                            }
+                        });
+                    });
+                    return getChildrenByRun(witClient, relations);
+                })
+                .then(function (runs) {
+                    var descendants = (runs[runId] || []).filter(function (child) {
+                        return !found.some(function (known) { return known.id === child.id; });
+                    });
+                    return addRunDescendants(witClient, runId, descendants, depth + 1, found.concat(descendants));
+                })
+                .then(function (descendants) {
+                    return children.concat(descendants);
+                });
+        }
+
+        /**
+         * Undo the most recent run on a parent: show the children it created for confirmation, then
+         * remove their links from the parent and move them to the recycle bin.
+         * Resolves with true when children were removed.
+         * @param {*} workItemId 
+         * @param {*} service // The work item form service, or null on the grid
+         */
+        function UndoLastRun(workItemId, service) {
+
+            var witClient = _WorkItemRestClient.getClient();
+
+            return Q(witClient.getWorkItem(workItemId, null, null, _WorkItemContracts.WorkItemExpand.Relations))
+                .then(function (parentWorkItem) {
+                    return getLastRunChildren(witClient, parentWorkItem.relations)
+                        .then(function (lastRun) {
+                            if (lastRun == null) {
+                                ShowDialog('No children created by Create Child Tasks were found on work item ' + workItemId + '.');
+                                return false;
+                            }
+                            return ShowUndoDialog(parentWorkItem, lastRun)
+                                .then(function (confirmed) {
+                                    if (!confirmed) {
+                                        WriteLog('Undo cancelled by user for work item ' + workItemId + '.');
+                                        return false;
+                                    }
+                                    var ids = lastRun.children.map(function (child) { return child.id; });
+                                    return unlinkChildren(witClient, service, parentWorkItem, ids)
+                                        .then(function () {
+                                            return deleteWorkItems(witClient, ids);
+                                        })
+                                        .then(function (failed) {
+                                            var removed = ids.length - failed.length;
+                                            WriteLog('Undo of run ' + lastRun.runId + ': ' + removed + ' removed, ' + failed.length + ' failed.');
+                                            var message = 'Removed ' + removed + ' child work item(s) created by run ' + lastRun.runId + '.';
+                                            if (failed.length > 0) {
+                                                message += ' Could not delete: ' + failed.map(function (f) { return f.id + ' (' + f.message + ')'; }).join(', ') + '.';
+                                            }
+                                            ShowDialog(message);
+                                            return removed > 0;
+                                        }, function (err) {
+                                            WriteLog('Failed to unlink children from work item ' + workItemId + ': ' + getErrorMessage(err));
+                                            ShowDialog('Nothing was removed: the children could not be unlinked from the parent (' + getErrorMessage(err) + ').');
+                                            return false;
+                                        });
+                                });
+                        });
+                });
+        }
+
+        // Remove the links to the given children from the parent, on the open form or through REST
+        function unlinkChildren(witClient, service, parentWorkItem, childIds) {
+
+            var isChild = function (relation) {
+                return getChildIds([relation], null).some(function (id) {
+                    return childIds.indexOf(id) !== -1;
+                });
+            };
+
+            if (service != null) {
+                return Q(service.getWorkItemRelations())
+                    .then(function (relations) {
+                        return Q(service.removeWorkItemRelations(relations.filter(isChild)));
+                    })
+                    .then(function () {
+                        return saveForm(service);
+                    });
+            }
+
+            // Remove from the highest index down so the remaining indexes stay valid; test the revision to avoid overwriting concurrent edits
+            var document = [{ op: 'test', path: '/rev', value: parentWorkItem.rev }];
+            (parentWorkItem.relations || [])
+                .map(function (relation, index) { return { relation: relation, index: index }; })
+                .filter(function (entry) { return isChild(entry.relation); })
+                .reverse()
+                .forEach(function (entry) {
+                    document.push({ op: 'remove', path: '/relations/' + entry.index });
+                });
+
+            return Q(witClient.updateWorkItem(document, parentWorkItem.id));
+        }
+
+        // Move work items to the recycle bin, one at a time. Resolves with the ones that failed: [{ id, message }]
+        function deleteWorkItems(witClient, ids) {
+            var failed = [];
+            var chain = Q.when();
+            ids.forEach(function (id) {
+                chain = chain.then(function () {
+                    // destroy = false: recycle bin, so the child can still be restored
+                    return Q(witClient.deleteWorkItem(id, false))
+                        .then(null, function (err) {
+                            WriteLog('Failed to delete work item ' + id + ': ' + getErrorMessage(err));
+                            failed.push({ id: id, message: getErrorMessage(err) });
+                        });
+                });
+            });
+            return chain.then(function () {
+                return failed;
+            });
+        }
+
+        /**
+         * Returns the ids of the work items linked from the given relations with one of the link
+         * types (Hierarchy-Forward, i.e. children, by default). With linkTypes null, every work item
+         * link counts except the link to the parent's own parent.
+         * @param {*} relations 
+         * @param {*} linkTypes 
+         */
+        function getChildIds(relations, linkTypes) {
+            linkTypes = (linkTypes === undefined) ? [LINK_TYPES.child] : linkTypes;
+            return (relations || [])
+                .filter(function (relation) {
+                    if (linkTypes === null) {
+                        return relation.rel !== 'System.LinkTypes.Hierarchy-Reverse' && /\/workItems\/\d+$/i.test(relation.url);
+                    }
+                    return linkTypes.indexOf(relation.rel) !== -1;
+                })
+                .map(function (relation) { return parseInt(relation.url.substring(relation.url.lastIndexOf('/') + 1), 10); })
+                .filter(function (id) { return !isNaN(id); });
+        }
+
+        function getTemplateTag(taskTemplate) {
+            return TEMPLATE_TAG_PREFIX + taskTemplate.id;
+        }
+
+        /**
+         * Expand the templates that have a "foreach" setting into one copy per list item. Each copy
+         * gets the item as foreachItem (for {item} in its values), the template it was made from
+         * as source, and an id of its own, so that re-runs and estimate shares treat every item as
+         * a separate child. Templates without "foreach" are kept as they are. Resolves with the templates to create, in order.
+         * @param {*} currentWorkItem // The parent the children are created under
+         * @param {*} taskTemplates 
+         * @param {*} run // Templates with an empty or unusable list are recorded here (optional)
+         */
+        function expandTemplates(currentWorkItem, taskTemplates, run) {
+
+            var requests = taskTemplates.map(function (taskTemplate) {
+                var foreach = getTemplateSettings(taskTemplate).foreach;
+                if (foreach == null || taskTemplate.hasOwnProperty('foreachItem')) {
+                    return Q.when([taskTemplate]);
+                }
+                return getForeachItems(currentWorkItem, foreach)
+                    .then(function (items) {
+                        if (items.length == 0 && run) {
+                            addSkipped(run, taskTemplate, 'The "foreach" list is empty');
+                        }
+                        return items.map(function (item) {
+                            var label = getForeachLabel(item);
+                            return {
+                                source: taskTemplate,
+                                id: taskTemplate.id + '#' + label.replace(/[;,]/g, '_').toLowerCase(),
+                                name: getTemplateName(taskTemplate) + ' [' + label + ']',
+                                workItemTypeName: taskTemplate.workItemTypeName,
+                                description: taskTemplate.description,
+                                fields: taskTemplate.fields,
+                                foreachItem: item
+                            };
+                        });
+                    }, function (err) {
+                        WriteLog('Failed to get the "foreach" list of template ' + getTemplateName(taskTemplate) + ': ' + getErrorMessage(err));
+                        if (run) {
+                            addFailed(run, taskTemplate, err);
+                        }
+                        return [];
+                    });
+            });
+
+            return Q.all(requests)
+                .then(function (expanded) {
+                    return expanded.reduce(function (all, templates) { return all.concat(templates); }, []);
+                });
+        }
+
+        /**
+         * Get the list a "foreach" setting expands over:
+         * - an array in the template JSON, e.g. ["Dev", "QA", "Prod"] (items may also be objects)
+         * - { "field": "Custom.Environments" }: the values of a parent field (separated by ";" as in multi-value fields)
+         * - "@teamMembers": the members of the current team, as identities
+         * @param {*} currentWorkItem 
+         * @param {*} foreach 
+         */
+        function getForeachItems(currentWorkItem, foreach) {
+
+            if (Array.isArray(foreach)) {
+                return Q.when(foreach.filter(function (item) { return item !== null && item !== ''; }));
+            }
+            if (foreach !== null && typeof foreach === 'object' && foreach.field) {
+                var value = _Filters.getFieldValue(currentWorkItem, foreach.field);
+                return Q.when(Array.isArray(value) ? value : _Filters.toTagArray(value));
+            }
+            if (typeof foreach === 'string' && foreach.toLowerCase() === '@teammembers') {
+                return getTeamMembers();
+            }
+            return Q.reject(new Error('"foreach" must be an array, { "field": "<reference name>" } or "@teamMembers"'));
+        }
+
+        // The members of the current team as identities ({ displayName, uniqueName }), loaded once per page
+        function getTeamMembers() {
+            if (teamMembersRequest == null) {
+                var coreClient = _CoreRestClient.getClient();
+                var request = (typeof coreClient.getTeamMembersWithExtendedProperties === 'function')
+                    ? coreClient.getTeamMembersWithExtendedProperties(ctx.project.id, ctx.team.id)
+                    : coreClient.getTeamMembers(ctx.project.id, ctx.team.id);
+                teamMembersRequest = Q(request)
+                    .then(function (members) {
+                        return members.map(function (member) {
+                            var identity = member.identity || member;
+                            return { displayName: identity.displayName, uniqueName: identity.uniqueName };
+                        });
+                    }, function (err) {
+                        teamMembersRequest = null;
+                        throw err;
+                    });
+            }
+            return teamMembersRequest;
+        }
+
+        // A short text for a foreach item: the text itself, an identity's display name, or the first value of an object
+        function getForeachLabel(item) {
+            if (item !== null && typeof item === 'object') {
+                if (item.displayName) {
+                    return item.displayName;
+                }
+                var keys = Object.keys(item);
+                return keys.length > 0 ? String(item[keys[0]]) : '';
+            }
+            return String(item);
+        }
+
+        /**
+         * The parent's fields with the foreach item added, so values can use {item} (and {item.<name>}
+         * for the properties of an object item, e.g. {item.uniqueName} for a team member).
+         * @param {*} currentWorkItem 
+         * @param {*} item 
+         */
+        function withForeachItem(currentWorkItem, item) {
+            var fields = {};
+            for (var key in currentWorkItem) {
+                fields[key] = currentWorkItem[key];
+            }
+            // Identities read as "Name <unique name>"; other objects as their label
+            fields['item'] = (item !== null && typeof item === 'object' && !item.uniqueName) ? getForeachLabel(item) : item;
+            if (item !== null && typeof item === 'object') {
+                for (var name in item) {
+                    fields['item.' + name] = item[name];
+                }
+            }
+            return fields;
+        }
+
+        /**
+         * Get the JSON settings object from a template description (the object that holds
+         * "applywhen" and the other template options), or an empty object when there is none.
+         * @param {*} taskTemplate 
+         */
+        function getTemplateSettings(taskTemplate) {
+            var extracted = _Rules.extractJSON(
+                (taskTemplate && taskTemplate.description) ? taskTemplate.description : '',
+                getTemplateName(taskTemplate)
+            );
+            var settings = extracted && extracted[0];
+            return (settings && typeof settings === 'object' && !Array.isArray(settings)) ? settings : {};
+        }
+
+        /**
+         * Read the "estimate" setting of a template: either a share in percent ("estimate": 60) or
+         * an object naming the parent field to take the share from ("estimate": { "share": 60, "from": "..." }).
+         * Returns null when the template claims no share.
+         * @param {*} taskTemplate 
+         */
+        function getEstimateShare(taskTemplate) {
+            var estimate = getTemplateSettings(taskTemplate).estimate;
+            if (estimate == null) {
+                return null;
+            }
+            var share = (typeof estimate === 'object') ? estimate.share : estimate;
+            share = parseFloat(share);
+            if (isNaN(share) || share < 0) {
+                WriteLog('Ignoring invalid estimate share for template ' + getTemplateName(taskTemplate) + '.');
+                return null;
+            }
+            return {
+                share: share,
+                from: (typeof estimate === 'object' && estimate.from) ? estimate.from : null
+            };
+        }
+
+        /**
+         * Load the fields of the child types that claim an estimate share, then distribute the
+         * parent's estimate (see distributeEstimate). Without the type definitions every share is set.
+         * @param {*} currentWorkItem 
+         * @param {*} taskTemplates 
+         * @param {*} warnings 
+         */
+        function getEstimates(currentWorkItem, taskTemplates, warnings) {
+
+            var typeNames = [];
+            taskTemplates.forEach(function (taskTemplate) {
+                if (getEstimateShare(taskTemplate) != null && typeNames.indexOf(taskTemplate.workItemTypeName) === -1) {
+                    typeNames.push(taskTemplate.workItemTypeName);
+                }
+            });
+
+            return getWorkItemTypeFields(typeNames)
+                .then(null, function (err) {
+                    WriteLog('Failed to load work item type fields: ' + getErrorMessage(err));
+                    return {};
+                })
+                .then(function (fieldsByType) {
+                    return distributeEstimate(currentWorkItem, taskTemplates, warnings, fieldsByType);
+                });
         }
 
-        function AddTasks(workItemId, service) {
-
-            var witClient = _WorkItemRestClient.getClient();
-            var workClient = workRestClient.getClient();
+        /**
+         * Divide the parent's estimate among the templates that claim a share of it, and return the
+         * OriginalEstimate/RemainingWork values to set per template id. Values are rounded to one
+         * decimal so that together they add up exactly to the shared part of the parent's estimate
+         * (largest remainder). Problems, such as shares not adding up to 100, are added to warnings.
+         * @param {*} currentWorkItem 
+         * @param {*} taskTemplates // The templates that will be applied in this run
+         * @param {*} warnings 
+         * @param {*} fieldsByType // Optional: see getWorkItemTypeFields. Only the estimate fields a child type has are set.
+         */
+        function distributeEstimate(currentWorkItem, taskTemplates, warnings, fieldsByType) {
 
-            var team = {
-                projectId: ctx.project.id,
-                teamId: ctx.team.id
-            };
+            var result = {};
 
-            workClient.getTeamSettings(team)
-                .then(function (teamSettings) {
-                    // Get the current values for a few of the common fields
-                    witClient.getWorkItem(workItemId)
-                        .then(function (value) {
-                            var currentWorkItem = value.fields;
+            // Group the shares by the parent field they are taken from
+            var groups = {};
+            taskTemplates.forEach(function (taskTemplate) {
+                var estimate = getEstimateShare(taskTemplate);
+                if (estimate == null) {
+                    return;
+                }
+                var from = estimate.from || ESTIMATE_SOURCE_FIELDS.filter(function (field) {
+                    return _Filters.getFieldValue(currentWorkItem, field) != null;
+                })[0] || ESTIMATE_SOURCE_FIELDS[0];
+                (groups[from] = groups[from] || []).push({ taskTemplate: taskTemplate, share: estimate.share });
+            });
 
-                            currentWorkItem['System.Id'] = workItemId;
+            Object.keys(groups).forEach(function (from) {
+                var shares = groups[from];
+                var total = parseFloat(_Filters.getFieldValue(currentWorkItem, from));
+                var totalShare = shares.reduce(function (sum, s) { return sum + s.share; }, 0);
 
-                            var workItemType = currentWorkItem["System.WorkItemType"];
-                            GetChildTypes(witClient, workItemType)
-                                .then(function (childTypes) {
-                                    if (childTypes == null)
-                                        return;
-                                    // get Templates
-                                    getTemplates(childTypes)
-                                        .then(function (response) {
-                                            if (response.length == 0) {
-                                                ShowDialog('No ' + childTypes + ' templates found. Please add ' + childTypes + ' templates for the project team.');
-                                                return;
-                                            }
-                                            // Create children alphabetically.
-                                            var templates = response.sort(SortTemplates);
-                                            var chain = Q.when();
-                                            templates.forEach(function (template) {
-                                                chain = chain.then(createChildFromTemplate(witClient, service, currentWorkItem, template, teamSettings));
-                                            });
-                                            return chain;
+                if (isNaN(total)) {
+                    warnings.push('The parent has no value in ' + from + ', so no estimates were set for: ' + shares.map(function (s) { return getTemplateName(s.taskTemplate); }).join(', ') + '.');
+                    return;
+                }
+                if (Math.abs(totalShare - 100) > 0.0001) {
+                    warnings.push('The estimate shares of the applied templates add up to ' + totalShare + '% instead of 100% of ' + from + '.');
+                }
 
-                                        });
-                                });
-                        })
-                })
-        }
+                // Work in tenths so the rounded values add up exactly; shares over 100% are scaled down to the total
+                var scale = Math.max(totalShare, 100);
+                var units = Math.round(total * 10 * Math.min(totalShare, 100) / 100);
+                var exact = shares.map(function (s) { return total * 10 * s.share / scale; });
+                var rounded = exact.map(Math.floor);
+                var remaining = units - rounded.reduce(function (sum, v) { return sum + v; }, 0);
+                exact
+                    .map(function (value, index) { return { index: index, fraction: value - Math.floor(value) }; })
+                    .sort(function (a, b) { return b.fraction - a.fraction; })
+                    .forEach(function (entry) {
+                        if (remaining > 0) {
+                            rounded[entry.index]++;
+                            remaining--;
+                        }
+                    });
 
-        function createChildFromTemplate(witClient, service, currentWorkItem, template, teamSettings) {
-            return function () {
-                return getTemplate(template.id)
-                    .then(function (taskTemplate) {
-                        // Create child when filters match
-                        if (IsValidTemplateWIT(currentWorkItem, taskTemplate) && IsValidTemplateTitle(currentWorkItem, taskTemplate)) {
-                            // Return the promise so the chain waits and errors are handled upstream
-                            return createWorkItem(service, currentWorkItem, taskTemplate, teamSettings);
+                shares.forEach(function (s, index) {
+                    var value = rounded[index] / 10;
+                    var typeFields = fieldsByType && fieldsByType[s.taskTemplate.workItemTypeName];
+                    var overrides = {};
+                    ESTIMATE_TARGET_FIELDS.forEach(function (field) {
+                        if (!typeFields || typeFields.indexOf(field.toLowerCase()) !== -1) {
+                            overrides[field] = value;
                         }
-                        // No-op: maintain chain with a resolved promise
-                        return Q.when();
-                    })
-                    .catch(function (err) {
-                        // Swallow to avoid noisy unhandled rejections in console; log for diagnostics
-                        var msg = (err && (err.message || err.statusText)) ? (err.message || err.statusText) : (typeof err === 'string' ? err : JSON.stringify(err));
-                        var tName = (template && template.name) ? ('"' + template.name + '"') : 'unknown';
-                        var tId = (template && template.id) ? template.id : 'n/a';
-                        WriteLog('Failed to create child from template ' + tName + ' (id: ' + tId + '): ' + msg);
-                        return Q.when();
                     });
-            };
+                    if (Object.keys(overrides).length == 0) {
+                        warnings.push(s.taskTemplate.workItemTypeName + ' has no Original Estimate or Remaining Work field, so the estimate share of ' + getTemplateName(s.taskTemplate) + ' (' + value + ') was not set.');
+                        return;
+                    }
+                    result[s.taskTemplate.id] = overrides;
+                });
+            });
+
+            return result;
         }
 
         /**
@@ -306,62 +2364,28 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
          */
         function IsValidTemplateWIT(currentWorkItem, taskTemplate) {
 
-            // Try to extract a JSON object from the template description
-            var extracted = extractJSON(
-                taskTemplate.description,
-                getTemplateName(taskTemplate)
-            );
-            var jsonFilters = extracted && extracted[0];
-
-            // Proceed only if we have an object with an array applywhen
-            if (jsonFilters && typeof jsonFilters === 'object' && Array.isArray(jsonFilters.applywhen)) {
-
-                // Check whether any of the criteria specified in the child work item template JSON matches the current work item
-                var someMatch = jsonFilters.applywhen.some(function (el) {
-                    try {
-                        return (
-                            matchField('System.BoardColumn', currentWorkItem, el) &&
-                            matchField('System.BoardLane', currentWorkItem, el) &&
-                            matchField('System.State', currentWorkItem, el) &&
-                            matchField('System.Tags', currentWorkItem, el) &&
-                            matchField('System.Title', currentWorkItem, el) &&
-                            matchField('System.AreaPath', currentWorkItem, el) &&
-                            matchField('System.IterationPath', currentWorkItem, el) &&
-                            matchField('System.WorkItemType', currentWorkItem, el)
-                        );
-                    } catch (e) {
-                        // If a single rule is malformed, skip it instead of throwing
-                        WriteLog('Skipping malformed filter rule: ' + (e && e.message ? e.message : e));
-                        return false;
-                    }
-                });
-
-                return someMatch;
-            } 
-            // Check whether the current work item type was specified using the basic square brackets approach in the child work item template description
-            else {
-
-                // Parse the criteria in the square brackets
-                var filters = taskTemplate.description.match(/[^[\]]+(?=])/g);
-
-                // Find whether the current work item matches
-                if (filters) {
-                    for (var i = 0; i < filters.length; i++) {
-                        var found = filters[i].split(',').find(function (f) { return f.trim().toLowerCase() == currentWorkItem["System.WorkItemType"].toLowerCase() });
-                        if (found) {
-                            return true;
-                        }
-                    }
-                } 
-                return false;
-            }
+            return explainTemplateFilter(currentWorkItem, taskTemplate).matched;
+        }
+
+        /**
+         * Evaluate the filter criteria of a template against the current work item and record how
+         * each clause was decided. Used by IsValidTemplateWIT and by the explain (dry-run) action.
+         * Returns { mode: 'json' | 'basic' | 'none', matched, entries, note } where each entry is the
+         * trace of _Filters.evaluateCondition (plus an error when the entry is malformed).
+         * @param {*} currentWorkItem 
+         * @param {*} taskTemplate 
+         */
+        function explainTemplateFilter(currentWorkItem, taskTemplate) {
+
+            var description = (taskTemplate && taskTemplate.description) ? taskTemplate.description : '';
+            return _Rules.explainFilter(currentWorkItem, description, getTemplateName(taskTemplate));
         }
 
         function IsValidTemplateTitle(currentWorkItem, taskTemplate) {
-            // Title filtering is handled within JSON rules via IsValidTemplateWIT/matchField('System.Title').
+            // Title filtering is handled within JSON rules via IsValidTemplateWIT/_Filters.matchField('System.Title').
             // For non-JSON descriptions (basic bracket syntax), there is no title filter. Always allow.
             try {
-                var extracted = extractJSON(
+                var extracted = _Rules.extractJSON(
                     taskTemplate && taskTemplate.description ? taskTemplate.description : "",
                     getTemplateName(taskTemplate)
                 );
@@ -437,6 +2461,28 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
                 });
         }
 
+        /**
+         * Sort templates in creation order: templates with an "order" setting first, by that number,
+         * then the others. Templates with the same order (or none) are sorted by name.
+         * @param {*} templates 
+         */
+        function sortTemplates(templates) {
+            return templates
+                .map(function (template) {
+                    var order = parseFloat(getTemplateSettings(template).order);
+                    return { template: template, order: isNaN(order) ? null : order };
+                })
+                .sort(function (a, b) {
+                    if (a.order !== b.order) {
+                        if (a.order === null) return 1;
+                        if (b.order === null) return -1;
+                        return a.order - b.order;
+                    }
+                    return SortTemplates(a.template, b.template);
+                })
+                .map(function (entry) { return entry.template; });
+        }
+
         function SortTemplates(a, b) {
             var nameA = a.name.toLowerCase(), nameB = b.name.toLowerCase();
             if (nameA < nameB) //sort string ascending
@@ -446,44 +2492,6 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
             return 0; //default return value (no sorting)
         }
 
-        function extractJSON(str, contextLabel) {
-            var firstOpen = -1, firstClose = -1, candidate;
-            var attempts = 0;
-            var lastError = null;
-            firstOpen = str.indexOf('{');
-            if (firstOpen != -1) {
-                do {
-                    firstClose = str.lastIndexOf('}');
-                    if (firstClose <= firstOpen) {
-                        if (attempts > 0) {
-                            WriteLog('Failed to parse JSON for template "' + contextLabel + '" after ' + attempts + ' attempts. Last error: ' + lastError);
-                        }
-                        return null;
-                    }
-                    do {
-                        candidate = str.substring(firstOpen, firstClose + 1);
-                        try {
-                            var res = JSON.parse(candidate);
-                            return [res, firstOpen, firstClose + 1];
-                        }
-                        catch (e) {
-                            attempts++;
-                            lastError = (e && e.message) ? e.message : e;
-                        }
-                        firstClose = str.substr(0, firstClose).lastIndexOf('}');
-                    } while (firstClose > firstOpen);
-                    firstOpen = str.indexOf('{', firstOpen + 1);
-                } while (firstOpen != -1);
-                // Exhausted search without success
-                if (attempts > 0) {
-                    WriteLog('Failed to parse JSON for template "' + contextLabel + '" after ' + attempts + ' attempts. Last error: ' + lastError);
-                }
-                return null;
-            } else {
-                return null;
-            }
-        }
-
         // TODO: Remove if no longer used
         function IsJsonString(str) {
             try {
@@ -494,84 +2502,6 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
             return true;
         }
 
-        /**
-         * Match a specific field in the current work item against a filter element.
-         * @param {*} fieldName // The name of the field to match
-         * @param {*} currentWorkItem // The current work item being evaluated
-         * @param {*} filterElement // The filter element containing the criteria
-         * @returns 
-         */
-        function matchField(fieldName, currentWorkItem, filterElement) {
-
-            // Get the filter value for the specific field (e.g. System.State)
-            var filterVal = filterElement[fieldName];
-
-            // If no filter provided, always a match
-            if (typeof filterVal === 'undefined' || filterVal === null) {
-                return true;
-            }
-
-            // Get the current value for the specific field (e.g. System.State)
-            var curValRaw = currentWorkItem ? currentWorkItem[fieldName] : undefined;
-
-            // Title: wildcard match, case-insensitive, null-safe
-            if (fieldName === 'System.Title') {
-                var title = (curValRaw == null ? '' : curValRaw.toString());
-                var rule = (filterVal == null ? '' : filterVal.toString());
-                return matchWildcardString(title, rule);
-            }
-
-            // Tags: normalize to arrays and check that current contains all filter tags
-            if (fieldName === 'System.Tags') {
-                var toTagArray = function (val) {
-                    if (Array.isArray(val)) return val;
-                    if (val == null) return [];
-                    // Azure DevOps uses semicolon-separated tags; accept commas/newlines too
-                    return val
-                        .toString()
-                        .split(/[;\,\n]/)
-                        .map(function (s) { return s.trim(); })
-                        .filter(function (s) { return s; });
-                };
-
-                var currentTags = toTagArray(curValRaw).map(function (s) { return s.toLowerCase(); });
-                var filterTags = toTagArray(filterVal).map(function (s) { return s.toLowerCase(); });
-
-                return filterTags.every(function (tag) { return currentTags.indexOf(tag) !== -1; });
-            }
-
-            // For non-tag fields: if filter provides an array, treat as any-of values (case-insensitive)
-            if (Array.isArray(filterVal)) {
-                var curStr = (curValRaw == null ? '' : curValRaw.toString().toLowerCase());
-                return filterVal.some(function (v) {
-                    return (v == null ? '' : v.toString().toLowerCase()) === curStr;
-                });
-            }
-
-            // Scalar compare (case-insensitive). If current value is missing, not a match
-            if (curValRaw == null) return false;
-            return filterVal.toString().toLowerCase() === curValRaw.toString().toLowerCase();
-        }
-
-        /**
-         * Compare a strong to another wildcard string (i.e. rule). Examples:
-         * - "a*b" => everything that starts with "a" and ends with "b"
-         * - "a*" => everything that starts with "a"
-         * - "*b" => everything that ends with "b"
-         * - "*a*" => everything that has an "a" in it
-         * - "*a*b*"=> everything that has an "a" in it, followed by anything, followed by a "b", followed by anything
-         * https://stackoverflow.com/questions/26246601/wildcard-string-comparison-in-javascript
-         * @param {*} str 
-         * @param {*} rule 
-         */
-        function matchWildcardString(str, rule) {
-            // Coerce to strings and do case-insensitive match with safe escaping
-            var s = (str == null ? '' : String(str));
-            var r = (rule == null ? '' : String(rule));
-            var escapeRegex = function (x) { return x.replace(/([.*+?^=!:${}()|\[\]\/\\])/g, "\\$1"); };
-            return new RegExp("^" + r.split("*").map(escapeRegex).join(".*") + "$", "i").test(s);
-        }
-
         /**
          * Compare two arrays.
          * @param {*} a 
@@ -613,6 +2543,312 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
             });
         }
 
+        /**
+         * Open one of the views of the extension's dialog contribution (dialog.html) in the host.
+         * Resolves with the value returned by the view's getResult() when the user presses OK, or
+         * with null when the dialog is closed any other way.
+         * The toolbar and menu actions run in a hidden iframe, where a VSS/Controls/Dialogs dialog
+         * would never be seen, so the dialogs are contributions opened by the host's dialog service.
+         * @param {*} view // The view to render (e.g. 'preview')
+         * @param {*} dialogOptions // Host dialog options (title, width, height, okText)
+         * @param {*} configuration // Data handed to the view through VSS.getConfiguration()
+         */
+        function openContributionDialog(view, dialogOptions, configuration) {
+
+            var extensionContext = VSS.getExtensionContext();
+            var contributionId = extensionContext.publisherId + '.' + extensionContext.extensionId + '.create-child-tasks-dialog';
+
+            configuration.view = view;
+
+            return Q.Promise(function (resolve) {
+                var instance = null;
+                var settled = false;
+                var settle = function (result) {
+                    if (!settled) {
+                        settled = true;
+                        resolve(result);
+                    }
+                };
+
+                var options = {
+                    title: dialogOptions.title || "Create Child Tasks",
+                    width: dialogOptions.width || 600,
+                    height: dialogOptions.height || 400,
+                    resizable: true,
+                    okText: dialogOptions.okText || "OK",
+                    getDialogResult: function () {
+                        return instance ? instance.getResult() : null;
+                    },
+                    okCallback: function (result) {
+                        settle(result);
+                    },
+                    close: function () {
+                        settle(null);
+                    }
+                };
+
+                VSS.getService(VSS.ServiceIds.Dialog).then(function (dialogSvc) {
+                    dialogSvc.openDialog(contributionId, options, configuration)
+                        .then(function (dialog) {
+                            dialog.updateOkButton(true);
+                            dialog.getContributionInstance('create-child-tasks-dialog').then(function (contributionInstance) {
+                                instance = contributionInstance;
+                            });
+                        }, function (err) {
+                            WriteLog('Failed to open dialog: ' + (err && err.message ? err.message : err));
+                            settle(null);
+                        });
+                });
+            });
+        }
+
+        // Adds a tag to the System.Tags value of a JSON Patch document built by createWorkItemFromTemplate
+        function addTag(workItem, tag) {
+            var tags = _Filters.toTagArray(getPatchValue(workItem, 'System.Tags'));
+            tags.push(tag);
+            setPatchValue(workItem, 'System.Tags', tags.join('; '));
+        }
+
+        // Sets a field in a JSON Patch document built by createWorkItemFromTemplate, replacing any earlier value
+        function setPatchValue(workItem, fieldName, value) {
+            for (var i = workItem.length - 1; i >= 0; i--) {
+                if (workItem[i].path.toLowerCase() === ('/fields/' + fieldName).toLowerCase()) {
+                    workItem.splice(i, 1);
+                }
+            }
+            workItem.push({ "op": "add", "path": "/fields/" + fieldName, "value": value });
+        }
+
+        // Returns the value set for a field in a JSON Patch document built by createWorkItemFromTemplate
+        function getPatchValue(workItem, fieldName) {
+            var value = null;
+            workItem.forEach(function (operation) {
+                if (operation.path === '/fields/' + fieldName) {
+                    value = operation.value;
+                }
+            });
+            return value;
+        }
+
+        /**
+         * Show the templates that matched the current work item and let the user pick the ones to
+         * create. Resolves with { templates, allOrNothing } for the selection, or null when the dialog
+         * is cancelled. All or nothing is checked by default when a template sets "allOrNothing": true.
+         * @param {*} currentWorkItem
+         * @param {*} taskTemplates
+         * @param {*} teamSettings
+         * @param {*} duplicateTemplates // Matching templates skipped because their child already exists
+         */
+        function ShowPreviewDialog(currentWorkItem, taskTemplates, teamSettings, duplicateTemplates) {
+
+            var items = taskTemplates.map(function (taskTemplate) {
+                var workItem;
+                try {
+                    workItem = createWorkItemFromTemplate(currentWorkItem, taskTemplate, teamSettings);
+                } catch (e) {
+                    // Reported as failed when the run gets to it
+                    workItem = [{ "op": "add", "path": "/fields/System.Title", "value": 'Error: ' + getErrorMessage(e) }];
+                }
+                return {
+                    id: taskTemplate.id,
+                    name: getTemplateName(taskTemplate),
+                    workItemType: taskTemplate.workItemTypeName,
+                    title: getPatchValue(workItem, 'System.Title'),
+                    assignedTo: getPatchValue(workItem, 'System.AssignedTo'),
+                    iterationPath: getPatchValue(workItem, 'System.IterationPath'),
+                    nested: getNestedTemplateRefs(taskTemplate).length
+                };
+            });
+
+            // Templates that already have a child are listed, but cannot be selected
+            (duplicateTemplates || []).forEach(function (taskTemplate) {
+                items.push({
+                    id: taskTemplate.id,
+                    name: getTemplateName(taskTemplate),
+                    workItemType: taskTemplate.workItemTypeName,
+                    skippedReason: 'Already created'
+                });
+            });
+
+            var dialogOptions = {
+                title: 'Create Child Tasks - ' + currentWorkItem['System.WorkItemType'] + ' ' + currentWorkItem['System.Id'],
+                width: 800,
+                height: 450,
+                okText: 'Create'
+            };
+
+            var allOrNothing = taskTemplates.some(function (taskTemplate) {
+                return getTemplateSettings(taskTemplate).allOrNothing === true;
+            });
+
+            return openContributionDialog('preview', dialogOptions, { parentTitle: currentWorkItem['System.Title'], items: items, allOrNothing: allOrNothing })
+                .then(function (result) {
+                    if (!result) {
+                        WriteLog('Cancelled by user for work item ' + currentWorkItem['System.Id'] + '.');
+                        return null;
+                    }
+                    return {
+                        templates: taskTemplates.filter(function (taskTemplate) {
+                            return result.selectedIds.indexOf(taskTemplate.id) !== -1;
+                        }),
+                        allOrNothing: result.allOrNothing
+                    };
+                });
+        }
+
+        /**
+         * Show the outcome of one or more runs: the children created (with links), the templates
+         * skipped and why, and the templates that failed with the error returned by the server.
+         * @param {*} runs // Results created by createRunResult
+         */
+        function ShowReportDialog(runs) {
+
+            var counts = { created: 0, skipped: 0, failed: 0, rolledBack: 0 };
+            runs.forEach(function (run) {
+                counts.created += run.created.length;
+                counts.skipped += run.skipped.length;
+                counts.failed += run.failed.length;
+                counts.rolledBack += run.rolledBack.length;
+            });
+            WriteLog('Run complete: ' + counts.created + ' created, ' + counts.skipped + ' skipped, ' + counts.failed + ' failed, ' + counts.rolledBack + ' rolled back.');
+
+            var dialogOptions = {
+                title: 'Create Child Tasks - Results',
+                width: 700,
+                height: 450,
+                okText: 'Close'
+            };
+
+            return openContributionDialog('report', dialogOptions, { runs: runs });
+        }
+
+        /**
+         * Confirm a bulk run with the number of children per parent (see BulkAddTasks). Resolves
+         * with { allOrNothing }, or null when cancelled. All or nothing is checked by default when
+         * one of the templates sets "allOrNothing": true.
+         * @param {*} plans // See planParent
+         */
+        function ShowBulkDialog(plans) {
+
+            var children = 0;
+            var allOrNothing = false;
+            var parents = plans.map(function (plan) {
+                var count = 0;
+                plan.newTemplates.forEach(function (taskTemplate) {
+                    count += 1 + getNestedTemplateRefs(taskTemplate).length;
+                    allOrNothing = allOrNothing || getTemplateSettings(taskTemplate).allOrNothing === true;
+                });
+                children += count;
+                var currentWorkItem = plan.parent ? plan.parent.currentWorkItem : {};
+                return {
+                    id: plan.workItemId,
+                    title: currentWorkItem['System.Title'] || '',
+                    workItemType: currentWorkItem['System.WorkItemType'] || '',
+                    children: count,
+                    templates: plan.newTemplates.map(getTemplateName),
+                    note: plan.note
+                };
+            });
+
+            var dialogOptions = {
+                title: 'Create Child Tasks - ' + plans.length + ' work items',
+                width: 800,
+                height: 500,
+                okText: 'Create'
+            };
+
+            return openContributionDialog('bulk', dialogOptions, { parents: parents, children: children, allOrNothing: allOrNothing })
+                .then(function (result) {
+                    if (!result) {
+                        WriteLog('Bulk run cancelled by user.');
+                        return null;
+                    }
+                    return { allOrNothing: result.allOrNothing };
+                });
+        }
+
+        /**
+         * Open the progress view of the dialog. Resolves with { update(done, total, message), close() };
+         * when the dialog cannot be opened these do nothing, so the run goes on without it.
+         * @param {*} title 
+         * @param {*} message 
+         * @param {*} total 
+         */
+        function openProgressDialog(title, message, total) {
+
+            var extensionContext = VSS.getExtensionContext();
+            var contributionId = extensionContext.publisherId + '.' + extensionContext.extensionId + '.create-child-tasks-dialog';
+
+            var dialog = null;
+            var instance = null;
+            var progress = {
+                update: function (done, total, text) {
+                    if (instance) {
+                        instance.update(done, total, text);
+                    }
+                },
+                close: function () {
+                    if (dialog) {
+                        dialog.close();
+                    }
+                }
+            };
+
+            var options = {
+                title: title,
+                width: 500,
+                height: 200,
+                resizable: false,
+                buttons: null
+            };
+
+            return Q.Promise(function (resolve) {
+                VSS.getService(VSS.ServiceIds.Dialog).then(function (dialogSvc) {
+                    dialogSvc.openDialog(contributionId, options, { view: 'progress', message: message, total: total })
+                        .then(function (openedDialog) {
+                            dialog = openedDialog;
+                            return dialog.getContributionInstance('create-child-tasks-dialog');
+                        })
+                        .then(function (contributionInstance) {
+                            instance = contributionInstance;
+                            resolve(progress);
+                        }, function (err) {
+                            WriteLog('Failed to open the progress dialog: ' + getErrorMessage(err));
+                            resolve(progress);
+                        });
+                }, function (err) {
+                    WriteLog('Failed to open the progress dialog: ' + getErrorMessage(err));
+                    resolve(progress);
+                });
+            });
+        }
+
+        /**
+         * Ask to confirm removing the children of a run. Resolves with true when confirmed.
+         * @param {*} parentWorkItem
+         * @param {*} lastRun // See getLastRunChildren
+         */
+        function ShowUndoDialog(parentWorkItem, lastRun) {
+
+            var dialogOptions = {
+                title: 'Undo Create Child Tasks - ' + parentWorkItem.fields['System.WorkItemType'] + ' ' + parentWorkItem.id,
+                width: 700,
+                height: 400,
+                okText: 'Remove'
+            };
+
+            return openContributionDialog('undo', dialogOptions, {
+                parentTitle: parentWorkItem.fields['System.Title'],
+                runId: lastRun.runId,
+                children: lastRun.children
+            });
+        }
+
+        // Returns a readable message for errors from the REST clients, form service or code
+        function getErrorMessage(err) {
+            return (err && (err.message || err.statusText)) ? (err.message || err.statusText) : (typeof err === 'string' ? err : JSON.stringify(err));
+        }
+
         function WriteLog(msg) {
             console.log('Create Child Tasks: ' + msg);
         }
@@ -643,16 +2879,117 @@ define(["TFS/WorkItemTracking/Services", "TFS/WorkItemTracking/RestClient", "TFS
                             }
                             else {
                                 // on grid
-                                if (context.workItemIds && context.workItemIds.length > 0) {
+                                AddTasksToSelection(context);
+                            }
+                        });
+                })
+            },
+
+            // Backlog and query results menus
+            bulk: function (context) {
+                WriteLog('bulk');
+
+                ctx = VSS.getWebContext();
+
+                AddTasksToSelection(context);
+            },
+
+            undo: function (context) {
+                WriteLog('undo');
 
-                                    context.workItemIds.forEach(function (workItemId) {
-                                        AddTasksOnGrid(workItemId);
+                ctx = VSS.getWebContext();
+
+                Q(getWorkItemFormService()).then(function (service) {
+                    return Q(service.hasActiveWorkItem())
+                        .then(function success(response) {
+                            if (response == true) {
+                                //form is open
+                                return Q(service.getId())
+                                    .then(function (workItemId) {
+                                        return UndoLastRun(workItemId, service);
                                     });
-                                }
-                                else if (context.id) {
-                                    var workItemId = context.id;
-                                    AddTasksOnGrid(workItemId);
-                                }
+                            }
+                            else {
+                                // on grid, one parent at a time and a single reload at the end; a parent that fails does not stop the others
+                                var workItemIds = (context.workItemIds && context.workItemIds.length > 0) ? context.workItemIds : (context.id ? [context.id] : []);
+                                var removed = false;
+                                var failures = [];
+                                var chain = Q.when();
+                                workItemIds.forEach(function (workItemId) {
+                                    chain = chain.then(function () {
+                                        return UndoLastRun(workItemId, null);
+                                    }).then(function (result) {
+                                        removed = removed || result;
+                                    }, function (err) {
+                                        WriteLog('Failed to undo the last run on work item ' + workItemId + ': ' + getErrorMessage(err));
+                                        failures.push(workItemId + ' (' + getErrorMessage(err) + ')');
+                                    });
+                                });
+                                return chain.then(function () {
+                                    if (removed) {
+                                        VSS.getService(VSS.ServiceIds.Navigation).then(function (navigationService) {
+                                            navigationService.reload();
+                                        });
+                                    }
+                                    if (failures.length > 0) {
+                                        ShowDialog('Failed to undo: ' + failures.join(', ') + '.');
+                                    }
+                                });
+                            }
+                        });
+                })
+                    .then(null, function (err) {
+                        ShowDialog('Failed to undo: ' + getErrorMessage(err));
+                    });
+            },
+
+            // Work item form observer (see observer.html): creates the children of templates with a "trigger"
+            fieldChanged: function (args) {
+                TrackFieldChanges(args);
+            },
+
+            saved: function (args) {
+                ctx = VSS.getWebContext();
+
+                return Q(getWorkItemFormService())
+                    .then(function (service) {
+                        return AutoCreateOnSave(args, service);
+                    });
+            },
+
+            reset: function (args) {
+                ForgetFieldChanges(args);
+            },
+
+            validate: function (context) {
+                WriteLog('validate');
+
+                ctx = VSS.getWebContext();
+
+                ValidateTemplates();
+            },
+
+            explain: function (context) {
+                WriteLog('explain');
+
+                ctx = VSS.getWebContext();
+
+                getWorkItemFormService().then(function (service) {
+                    service.hasActiveWorkItem()
+                        .then(function success(response) {
+                            if (response == true) {
+                                //form is open
+                                service.getId()
+                                    .then(function (workItemId) {
+                                        return ExplainTemplates(workItemId);
+                                    });
+                            }
+                            else if (context.workItemIds && context.workItemIds.length > 0) {
+                                // on grid, explain the first selected work item
+                                ExplainTemplates(context.workItemIds[0]);
+                            }
+                            else if (context.id) {
+                                ExplainTemplates(context.id);
                             }
                         });
                 })
@@ -0,0 +1,542 @@
+define(["VSS/Controls", "VSS/Controls/StatusIndicator"],
+    function (Controls, StatusIndicator) {
+
+        function createElement(tagName, text, className) {
+            var element = document.createElement(tagName);
+            if (text != null) {
+                element.textContent = text;
+            }
+            if (className) {
+                element.className = className;
+            }
+            return element;
+        }
+
+        function createTable(headers) {
+            var table = createElement('table');
+            var headerRow = createElement('tr');
+            headers.forEach(function (header) {
+                headerRow.appendChild(createElement('th', header));
+            });
+            table.appendChild(headerRow);
+            return table;
+        }
+
+        /**
+         * List the templates that matched the parent work item, each with a checkbox, and return
+         * { selectedIds, allOrNothing } as the dialog result. Items with a skippedReason are shown
+         * disabled with the reason instead of their resolved values.
+         * @param {*} container
+         * @param {*} configuration // { parentTitle, items: [{ id, name, workItemType, title, assignedTo, iterationPath, nested, skippedReason }], allOrNothing }
+         */
+        function renderPreview(container, configuration) {
+
+            var items = configuration.items || [];
+            var checkboxes = [];
+
+            container.appendChild(createElement('p', 'Select the child work items to create for "' + configuration.parentTitle + '":'));
+
+            var table = createTable(['', 'Template', 'Title', 'Type', 'Assigned To', 'Iteration']);
+            items.forEach(function (item) {
+                var row = createElement('tr');
+
+                var checkbox = createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = item.id;
+
+                var checkboxCell = createElement('td');
+                checkboxCell.appendChild(checkbox);
+                row.appendChild(checkboxCell);
+
+                if (item.skippedReason) {
+                    checkbox.disabled = true;
+                    row.className = 'muted';
+                    row.appendChild(createElement('td', item.name));
+                    var reasonCell = createElement('td', 'Skipped: ' + item.skippedReason);
+                    reasonCell.colSpan = 4;
+                    row.appendChild(reasonCell);
+                    table.appendChild(row);
+                    return;
+                }
+
+                checkbox.checked = true;
+                checkboxes.push(checkbox);
+
+                row.appendChild(createElement('td', item.name));
+                var titleCell = createElement('td', item.title);
+                if (item.nested) {
+                    titleCell.appendChild(createElement('span', ' (+' + item.nested + ' nested)', 'muted'));
+                }
+                row.appendChild(titleCell);
+                row.appendChild(createElement('td', item.workItemType));
+                row.appendChild(createElement('td', item.assignedTo || 'Unassigned', item.assignedTo ? null : 'muted'));
+                row.appendChild(createElement('td', item.iterationPath));
+                table.appendChild(row);
+            });
+            container.appendChild(table);
+
+            var allOrNothing = createElement('input');
+            allOrNothing.type = 'checkbox';
+            allOrNothing.id = 'all-or-nothing';
+            allOrNothing.checked = !!configuration.allOrNothing;
+            var label = createElement('label', ' All or nothing: if any child cannot be created, remove the ones already created');
+            label.htmlFor = allOrNothing.id;
+            var option = createElement('p');
+            option.appendChild(allOrNothing);
+            option.appendChild(label);
+            container.appendChild(option);
+
+            return {
+                getResult: function () {
+                    return {
+                        selectedIds: checkboxes
+                            .filter(function (checkbox) { return checkbox.checked; })
+                            .map(function (checkbox) { return checkbox.value; }),
+                        allOrNothing: allOrNothing.checked
+                    };
+                }
+            };
+        }
+
+        function createSection(title, entries, renderEntry) {
+            var section = createElement('div');
+            section.appendChild(createElement('h3', title + ' (' + entries.length + ')'));
+            if (entries.length == 0) {
+                section.appendChild(createElement('p', 'None', 'muted'));
+                return section;
+            }
+            var list = createElement('ul');
+            entries.forEach(function (entry) {
+                var item = createElement('li');
+                renderEntry(item, entry);
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+            return section;
+        }
+
+        /**
+         * Show what a run created, skipped and failed for each parent work item.
+         * @param {*} container
+         * @param {*} configuration // { runs: [{ id, parentId, parentType, parentTitle, created, skipped, failed, rolledBack, warnings }] }
+         */
+        function renderReport(container, configuration) {
+
+            (configuration.runs || []).forEach(function (run) {
+                container.appendChild(createElement('h2', run.parentType + ' ' + run.parentId + ': ' + run.parentTitle));
+                if (run.id && run.created.length > 0) {
+                    container.appendChild(createElement('p', 'Run ' + run.id + ' (use "Undo Create Child Tasks" to remove these children again)', 'muted'));
+                }
+
+                container.appendChild(createSection('Created', run.created, function (item, entry) {
+                    var link = createElement('a', entry.id + ' - ' + entry.title);
+                    link.href = entry.url;
+                    link.target = '_blank';
+                    item.appendChild(link);
+                    item.appendChild(createElement('span', ' (template: ' + entry.templateName + (entry.parentId ? ', under ' + entry.parentId : '') + ')', 'muted'));
+                }));
+
+                container.appendChild(createSection('Skipped', run.skipped, function (item, entry) {
+                    item.textContent = entry.templateName + ': ' + entry.reason;
+                }));
+
+                container.appendChild(createSection('Failed', run.failed, function (item, entry) {
+                    item.textContent = entry.templateName + ': ' + entry.message;
+                }));
+
+                if (run.rolledBack && run.rolledBack.length > 0) {
+                    container.appendChild(createSection('Rolled back', run.rolledBack, function (item, entry) {
+                        item.textContent = entry.id + ' - ' + entry.title + ' (template: ' + entry.templateName + '), moved to the recycle bin';
+                    }));
+                }
+
+                if (run.warnings && run.warnings.length > 0) {
+                    container.appendChild(createSection('Warnings', run.warnings, function (item, entry) {
+                        item.textContent = entry;
+                    }));
+                }
+            });
+
+            return {
+                getResult: function () {
+                    return null;
+                }
+            };
+        }
+
+        function formatValue(value) {
+            if (value === undefined || value === null || value === '') {
+                return '(empty)';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+
+        function createResult(matched) {
+            return createElement('td', matched ? 'Pass' : 'Fail', matched ? 'pass' : 'fail');
+        }
+
+        function appendSummaryRow(table, path, detail, matched) {
+            var summary = createElement('tr');
+            summary.appendChild(createElement('td', path));
+            var detailCell = createElement('td', detail, 'muted');
+            detailCell.colSpan = 3;
+            summary.appendChild(detailCell);
+            summary.appendChild(createResult(matched));
+            table.appendChild(summary);
+        }
+
+        // Rows for a condition trace: its field clauses, its nested groups, then the condition's own result
+        function appendConditionRows(table, condition) {
+            condition.clauses.forEach(function (clause) {
+                var row = createElement('tr');
+                row.appendChild(createElement('td', condition.path));
+                row.appendChild(createElement('td', clause.field));
+                row.appendChild(createElement('td', formatValue(clause.rule)));
+                row.appendChild(createElement('td', formatValue(clause.actual)));
+                row.appendChild(createResult(clause.matched));
+                table.appendChild(row);
+            });
+
+            var groupDescriptions = {
+                all: 'all: every condition must pass',
+                any: 'any: at least one condition must pass',
+                none: 'none: no condition may pass'
+            };
+            (condition.groups || []).forEach(function (group) {
+                group.conditions.forEach(function (child) {
+                    appendConditionRows(table, child);
+                });
+                appendSummaryRow(table, group.path, groupDescriptions[group.type], group.matched);
+            });
+
+            var detail = [];
+            if (condition.clauses.length == 0 && (condition.groups || []).length == 0) {
+                detail.push('No clauses: always passes');
+            }
+            if (condition.error) {
+                detail.push(condition.error);
+            }
+            appendSummaryRow(table, condition.path, detail.join('. '), condition.matched);
+        }
+
+        // A table of condition traces (see _Filters.evaluateCondition), one section per applywhen entry
+        function createConditionTable(entries) {
+            var table = createTable(['Entry', 'Field', 'Rule', 'Parent value', 'Result']);
+            entries.forEach(function (entry) {
+                appendConditionRows(table, entry);
+            });
+            return table;
+        }
+
+        /**
+         * Show, for every template, how each filter clause was decided against the parent work item
+         * and the JSON Patch document of each child it would create. Nothing is returned.
+         * @param {*} container
+         * @param {*} configuration // { parentTitle, templates: [{ name, workItemType, source, filter, documents: [{ label, document, error }], error }], warnings }
+         */
+        function renderExplain(container, configuration) {
+
+            container.appendChild(createElement('p', 'Dry run for "' + configuration.parentTitle + '". No work items are created.'));
+
+            (configuration.warnings || []).forEach(function (warning) {
+                container.appendChild(createElement('p', warning, 'fail'));
+            });
+
+            (configuration.templates || []).forEach(function (template) {
+                var filter = template.filter;
+
+                var heading = createElement('h2', template.name + ' (' + template.workItemType + '): ');
+                heading.appendChild(createElement('span', template.error ? 'Error' : (filter.matched ? 'Match' : 'No match'), !template.error && filter.matched ? 'pass' : 'fail'));
+                container.appendChild(heading);
+
+                // Templates shared by a library team or the project, and the versions they win over
+                if (template.source && (template.source.type !== 'team' || template.source.overrides.length > 0)) {
+                    container.appendChild(createElement('p', 'From ' + template.source.name + (template.source.overrides.length > 0 ? ', overriding ' + template.source.overrides.join(', ') : '') + '.', 'muted'));
+                }
+
+                if (template.error) {
+                    container.appendChild(createElement('p', template.error, 'fail'));
+                    return;
+                }
+
+                var modes = {
+                    json: 'JSON filter: the template applies when any applywhen entry passes.',
+                    basic: 'Basic filter: the template applies when the parent type is listed in square brackets.',
+                    none: 'No filter found in the template description: the template never applies.'
+                };
+                container.appendChild(createElement('p', modes[filter.mode]));
+                if (filter.note) {
+                    container.appendChild(createElement('p', filter.note, 'fail'));
+                }
+
+                if (filter.entries.length > 0) {
+                    container.appendChild(createConditionTable(filter.entries));
+                }
+
+                (template.documents || []).forEach(function (explained) {
+                    container.appendChild(createElement('h3', 'JSON Patch document' + (explained.label ? ' (' + explained.label + ')' : '')));
+                    if (explained.error) {
+                        container.appendChild(createElement('p', explained.error, 'fail'));
+                    } else {
+                        container.appendChild(createElement('pre', JSON.stringify(explained.document, null, 2)));
+                    }
+                });
+            });
+
+            return {
+                getResult: function () {
+                    return null;
+                }
+            };
+        }
+
+        /**
+         * List the children created by the last run on a parent, to confirm removing them.
+         * The dialog result is true.
+         * @param {*} container
+         * @param {*} configuration // { parentTitle, runId, children: [{ id, title, workItemType }] }
+         */
+        function renderUndo(container, configuration) {
+
+            var children = configuration.children || [];
+
+            container.appendChild(createElement('p', 'Remove the ' + children.length + ' child work item(s) created by run ' + configuration.runId + ' on "' + configuration.parentTitle + '"? They are unlinked from the parent and moved to the Recycle Bin.'));
+
+            var table = createTable(['ID', 'Title', 'Type']);
+            children.forEach(function (child) {
+                var row = createElement('tr');
+                row.appendChild(createElement('td', String(child.id)));
+                row.appendChild(createElement('td', child.title));
+                row.appendChild(createElement('td', child.workItemType));
+                table.appendChild(row);
+            });
+            container.appendChild(table);
+
+            return {
+                getResult: function () {
+                    return true;
+                }
+            };
+        }
+
+        /**
+         * Confirm a bulk run over several selected work items: how many children each parent gets
+         * from which templates, and why others get none. The dialog result is { allOrNothing }.
+         * @param {*} container
+         * @param {*} configuration // { parents: [{ id, title, workItemType, children, templates, note }], children, allOrNothing }
+         */
+        function renderBulk(container, configuration) {
+
+            var parents = configuration.parents || [];
+            var affected = parents.filter(function (parent) { return parent.children > 0; });
+
+            container.appendChild(createElement('p', 'Create ' + configuration.children + ' child work item(s) under ' + affected.length + ' of the ' + parents.length + ' selected work item(s)?'));
+
+            var table = createTable(['ID', 'Title', 'Type', 'Children', 'Templates']);
+            parents.forEach(function (parent) {
+                var row = createElement('tr', null, parent.children > 0 ? null : 'muted');
+                row.appendChild(createElement('td', String(parent.id)));
+                row.appendChild(createElement('td', parent.title));
+                row.appendChild(createElement('td', parent.workItemType));
+                row.appendChild(createElement('td', String(parent.children)));
+                row.appendChild(createElement('td', parent.note || parent.templates.join(', '), parent.note ? 'muted' : null));
+                table.appendChild(row);
+            });
+            container.appendChild(table);
+
+            var allOrNothing = createElement('input');
+            allOrNothing.type = 'checkbox';
+            allOrNothing.id = 'all-or-nothing';
+            allOrNothing.checked = !!configuration.allOrNothing;
+            var label = createElement('label', ' All or nothing per work item: if any of its children cannot be created, remove the ones already created');
+            label.htmlFor = allOrNothing.id;
+            var option = createElement('p');
+            option.appendChild(allOrNothing);
+            option.appendChild(label);
+            container.appendChild(option);
+
+            return {
+                getResult: function () {
+                    return { allOrNothing: allOrNothing.checked };
+                }
+            };
+        }
+
+        /**
+         * Show the progress of a bulk run. The caller moves it on with update(done, total, message)
+         * through the contribution instance and closes the dialog when done.
+         * @param {*} container
+         * @param {*} configuration // { message, total }
+         */
+        function renderProgress(container, configuration) {
+
+            var message = createElement('p', configuration.message);
+            container.appendChild(message);
+
+            var indicatorContainer = createElement('div');
+            container.appendChild(indicatorContainer);
+            var indicator = Controls.create(StatusIndicator.StatusIndicator, $(indicatorContainer), { message: '0 of ' + configuration.total });
+            indicator.start();
+
+            var bar = createElement('progress');
+            bar.max = configuration.total || 1;
+            bar.value = 0;
+            bar.style.width = '100%';
+            container.appendChild(bar);
+
+            return {
+                update: function (done, total, text) {
+                    bar.max = total || 1;
+                    bar.value = done;
+                    indicator.setMessage(done + ' of ' + total);
+                    if (text) {
+                        message.textContent = text;
+                    }
+                    if (done >= total) {
+                        indicator.complete();
+                    }
+                },
+                getResult: function () {
+                    return null;
+                }
+            };
+        }
+
+        /**
+         * List the problems found by validating the templates of a team, one table per template.
+         * @param {*} container
+         * @param {*} configuration // { templates: [{ name, workItemType, source, problems: [{ level, where, line, column, message }] }] }
+         */
+        function renderValidate(container, configuration) {
+
+            var templates = configuration.templates || [];
+            var failing = templates.filter(function (template) { return template.problems.length > 0; });
+            var errors = 0;
+            templates.forEach(function (template) {
+                errors += template.problems.filter(function (problem) { return problem.level === 'error'; }).length;
+            });
+
+            container.appendChild(createElement('p', templates.length == 0
+                ? 'The team has no templates.'
+                : templates.length + ' template(s) checked: ' + (failing.length == 0 ? 'no problems found.' : errors + ' error(s) in ' + failing.length + ' template(s).'),
+                failing.length == 0 ? 'pass' : null));
+
+            templates.forEach(function (template) {
+                var from = (template.source && template.source.type !== 'team') ? ', ' + template.source.name : '';
+                var heading = createElement('h2', template.name + ' (' + template.workItemType + from + '): ');
+                heading.appendChild(createElement('span', template.problems.length == 0 ? 'OK' : template.problems.length + ' problem(s)', template.problems.length == 0 ? 'pass' : 'fail'));
+                container.appendChild(heading);
+                if (template.problems.length == 0) {
+                    return;
+                }
+
+                var table = createTable(['', 'Where', 'Line:Col', 'Problem']);
+                template.problems.forEach(function (problem) {
+                    var row = createElement('tr');
+                    row.appendChild(createElement('td', problem.level === 'error' ? 'Error' : 'Warning', problem.level === 'error' ? 'fail' : 'muted'));
+                    row.appendChild(createElement('td', problem.where));
+                    row.appendChild(createElement('td', problem.line + ':' + problem.column));
+                    row.appendChild(createElement('td', problem.message));
+                    table.appendChild(row);
+                });
+                container.appendChild(table);
+            });
+
+            return {
+                getResult: function () {
+                    return null;
+                }
+            };
+        }
+
+        /**
+         * Preview an import of templates: what is new, changed (with each change) and unchanged, and the
+         * team's templates that are not in the file. The result is the indexes of the checked entries.
+         * @param {*} container
+         * @param {*} configuration // { fileName, teamName, entries: [{ status, name, workItemType, changes, error }] }
+         */
+        function renderImport(container, configuration) {
+
+            var entries = configuration.entries || [];
+            var labels = {
+                'new': 'New',
+                changed: 'Changed',
+                unchanged: 'Unchanged',
+                notInFile: 'Not in the file (kept)',
+                error: 'Error'
+            };
+
+            container.appendChild(createElement('p', 'Import "' + configuration.fileName + '" into the templates of ' + configuration.teamName + '. Checked templates are created or replaced; the others are left as they are.'));
+
+            var checkboxes = [];
+            var table = createTable(['', 'Template', 'Type', 'Change', 'Details']);
+            entries.forEach(function (entry, index) {
+                var canImport = entry.status === 'new' || entry.status === 'changed';
+                var row = createElement('tr', null, canImport ? null : 'muted');
+
+                var checkbox = createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = String(index);
+                checkbox.checked = canImport;
+                checkbox.disabled = !canImport;
+                checkboxes.push(checkbox);
+                var cell = createElement('td');
+                cell.appendChild(checkbox);
+                row.appendChild(cell);
+
+                row.appendChild(createElement('td', entry.name));
+                row.appendChild(createElement('td', entry.workItemType));
+                row.appendChild(createElement('td', labels[entry.status], entry.status === 'error' ? 'fail' : null));
+
+                var details = createElement('td');
+                if (entry.error) {
+                    details.appendChild(createElement('span', entry.error, 'fail'));
+                } else if (entry.changes.length > 0) {
+                    var list = createElement('ul');
+                    entry.changes.forEach(function (change) {
+                        list.appendChild(createElement('li', change));
+                    });
+                    details.appendChild(list);
+                }
+                row.appendChild(details);
+                table.appendChild(row);
+            });
+            container.appendChild(table);
+
+            return {
+                getResult: function () {
+                    return checkboxes
+                        .filter(function (checkbox) { return checkbox.checked; })
+                        .map(function (checkbox) { return parseInt(checkbox.value, 10); });
+                }
+            };
+        }
+
+        var views = {
+            preview: renderPreview,
+            report: renderReport,
+            explain: renderExplain,
+            undo: renderUndo,
+            bulk: renderBulk,
+            progress: renderProgress,
+            validate: renderValidate,
+            'import': renderImport
+        };
+
+        return {
+
+            render: function (container, configuration) {
+                var renderView = views[configuration && configuration.view];
+                if (!renderView) {
+                    container.appendChild(createElement('p', 'Nothing to show.'));
+                    return { getResult: function () { return null; } };
+                }
+                return renderView(container, configuration);
+            },
+
+            // Used by the settings hub to show how a work item is matched by the rules being edited
+            renderConditions: function (container, entries) {
+                container.appendChild(createConditionTable(entries));
+            },
+        }
+    });
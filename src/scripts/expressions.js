@@ -0,0 +1,612 @@
+define(["./filters"],
+    function (_Filters) {
+
+        var DAY = 24 * 60 * 60 * 1000;
+
+        // Errors raised while parsing (syntax) or evaluating (e.g. wrong function arguments) an expression
+        function ExpressionError(message, syntax) {
+            var error = new Error(message);
+            error.name = 'ExpressionError';
+            error.syntax = !!syntax;
+            return error;
+        }
+
+        function ParseError(message) {
+            return ExpressionError(message, true);
+        }
+
+        // ---- Values ----
+
+        function isEmpty(value) {
+            return value === undefined || value === null || value === '';
+        }
+
+        function isTruthy(value) {
+            return !(isEmpty(value) || value === false || value === 0 || (typeof value === 'number' && isNaN(value)));
+        }
+
+        // Identity fields (AssignedTo, CreatedBy...) are objects; use the "Display Name <unique name>" form Azure DevOps accepts
+        function fromField(value) {
+            if (value === undefined) return null;
+            if (value !== null && typeof value === 'object' && (value.displayName || value.uniqueName)) {
+                return value.uniqueName ? value.displayName + ' <' + value.uniqueName + '>' : value.displayName;
+            }
+            return value;
+        }
+
+        function toText(value) {
+            if (isEmpty(value)) return '';
+            if (value instanceof Date) return value.toISOString();
+            if (typeof value === 'number') return String(parseFloat(value.toFixed(10)));
+            return String(value);
+        }
+
+        function toNumber(value) {
+            if (isEmpty(value) || value instanceof Date) return null;
+            var number = typeof value === 'number' ? value : parseFloat(value);
+            return isNaN(number) ? null : number;
+        }
+
+        function toDate(value) {
+            if (isEmpty(value)) return null;
+            if (value instanceof Date) return value;
+            var ms = Date.parse(value);
+            return isNaN(ms) ? null : new Date(ms);
+        }
+
+        function isNumeric(value) {
+            return typeof value === 'number' || (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value));
+        }
+
+        function compareValues(a, b) {
+            if (isNumeric(a) && isNumeric(b)) {
+                return toNumber(a) - toNumber(b);
+            }
+            var aDate = (a instanceof Date || (typeof a === 'string' && /^\d{4}-\d{2}-\d{2}/.test(a))) ? toDate(a) : null;
+            var bDate = (b instanceof Date || (typeof b === 'string' && /^\d{4}-\d{2}-\d{2}/.test(b))) ? toDate(b) : null;
+            if (aDate && bDate) {
+                return aDate.getTime() - bDate.getTime();
+            }
+            var aText = toText(a).toLowerCase(), bText = toText(b).toLowerCase();
+            return aText < bText ? -1 : (aText > bText ? 1 : 0);
+        }
+
+        function pad(number, length) {
+            var text = String(number);
+            while (text.length < length) text = '0' + text;
+            return text;
+        }
+
+        // Format a date in UTC with the tokens yyyy, MM, dd, HH and mm
+        function formatDate(date, format) {
+            return format
+                .replace(/yyyy/g, date.getUTCFullYear())
+                .replace(/MM/g, pad(date.getUTCMonth() + 1, 2))
+                .replace(/dd/g, pad(date.getUTCDate(), 2))
+                .replace(/HH/g, pad(date.getUTCHours(), 2))
+                .replace(/mm/g, pad(date.getUTCMinutes(), 2));
+        }
+
+        function startOfToday() {
+            var now = new Date();
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        }
+
+        // ---- Functions ----
+
+        function requireArgs(name, args, min, max) {
+            if (args.length < min || args.length > max) {
+                throw ExpressionError(name + '() expects ' + (min === max ? min : min + ' to ' + max) + ' argument(s), got ' + args.length);
+            }
+        }
+
+        var functions = {
+            upper: function (args) {
+                requireArgs('upper', args, 1, 1);
+                return toText(args[0]).toUpperCase();
+            },
+            lower: function (args) {
+                requireArgs('lower', args, 1, 1);
+                return toText(args[0]).toLowerCase();
+            },
+            trim: function (args) {
+                requireArgs('trim', args, 1, 1);
+                return toText(args[0]).trim();
+            },
+            len: function (args) {
+                requireArgs('len', args, 1, 1);
+                return toText(args[0]).length;
+            },
+            truncate: function (args) {
+                requireArgs('truncate', args, 2, 3);
+                var text = toText(args[0]);
+                var length = toNumber(args[1]);
+                var suffix = args.length > 2 ? toText(args[2]) : '';
+                if (length === null || text.length <= length) return text;
+                return text.substring(0, Math.max(0, length - suffix.length)) + suffix;
+            },
+            substring: function (args) {
+                requireArgs('substring', args, 2, 3);
+                var text = toText(args[0]);
+                var start = toNumber(args[1]) || 0;
+                return args.length > 2 ? text.substr(start, toNumber(args[2]) || 0) : text.substring(start);
+            },
+            replace: function (args) {
+                requireArgs('replace', args, 3, 3);
+                var find = toText(args[1]);
+                return find === '' ? toText(args[0]) : toText(args[0]).split(find).join(toText(args[2]));
+            },
+            concat: function (args) {
+                return args.map(toText).join('');
+            },
+            'if': function (args) {
+                requireArgs('if', args, 2, 3);
+                return isTruthy(args[0]) ? args[1] : (args.length > 2 ? args[2] : null);
+            },
+            coalesce: function (args) {
+                for (var i = 0; i < args.length; i++) {
+                    if (!isEmpty(args[i])) return args[i];
+                }
+                return null;
+            },
+            number: function (args) {
+                requireArgs('number', args, 1, 1);
+                return toNumber(args[0]);
+            },
+            round: function (args) {
+                requireArgs('round', args, 1, 2);
+                var value = toNumber(args[0]);
+                var factor = Math.pow(10, args.length > 1 ? (toNumber(args[1]) || 0) : 0);
+                return value === null ? null : Math.round(value * factor) / factor;
+            },
+            floor: function (args) {
+                requireArgs('floor', args, 1, 1);
+                var value = toNumber(args[0]);
+                return value === null ? null : Math.floor(value);
+            },
+            ceil: function (args) {
+                requireArgs('ceil', args, 1, 1);
+                var value = toNumber(args[0]);
+                return value === null ? null : Math.ceil(value);
+            },
+            min: function (args) {
+                var numbers = args.map(toNumber).filter(function (n) { return n !== null; });
+                return numbers.length ? Math.min.apply(null, numbers) : null;
+            },
+            max: function (args) {
+                var numbers = args.map(toNumber).filter(function (n) { return n !== null; });
+                return numbers.length ? Math.max.apply(null, numbers) : null;
+            },
+            today: function (args) {
+                requireArgs('today', args, 0, 0);
+                return startOfToday();
+            },
+            now: function (args) {
+                requireArgs('now', args, 0, 0);
+                return new Date();
+            },
+            addDays: function (args) {
+                requireArgs('addDays', args, 2, 2);
+                var date = toDate(args[0]);
+                var days = toNumber(args[1]);
+                return (date === null || days === null) ? null : new Date(date.getTime() + days * DAY);
+            },
+            addHours: function (args) {
+                requireArgs('addHours', args, 2, 2);
+                var date = toDate(args[0]);
+                var hours = toNumber(args[1]);
+                return (date === null || hours === null) ? null : new Date(date.getTime() + hours * DAY / 24);
+            },
+            daysBetween: function (args) {
+                requireArgs('daysBetween', args, 2, 2);
+                var from = toDate(args[0]), to = toDate(args[1]);
+                return (from === null || to === null) ? null : Math.round((to.getTime() - from.getTime()) / DAY);
+            },
+            formatDate: function (args) {
+                requireArgs('formatDate', args, 2, 2);
+                var date = toDate(args[0]);
+                return date === null ? null : formatDate(date, toText(args[1]));
+            }
+        };
+
+        // ---- Tokenizer ----
+
+        var PUNCTUATION = ['==', '!=', '>=', '<=', '&&', '||', '>', '<', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+        function tokenize(text) {
+            var tokens = [];
+            var i = 0;
+            while (i < text.length) {
+                var ch = text.charAt(i);
+                var rest = text.substring(i);
+                var match;
+
+                if (/\s/.test(ch)) {
+                    i++;
+                } else if ((match = rest.match(/^\d+(\.\d+)?/))) {
+                    tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                    i += match[0].length;
+                } else if (ch === '"' || ch === "'") {
+                    var value = '';
+                    var j = i + 1;
+                    while (j < text.length && text.charAt(j) !== ch) {
+                        if (text.charAt(j) === '\\' && j + 1 < text.length) j++;
+                        value += text.charAt(j);
+                        j++;
+                    }
+                    if (j >= text.length) throw ParseError('Unterminated string in "' + text + '"');
+                    tokens.push({ type: 'string', value: value });
+                    i = j + 1;
+                } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*/))) {
+                    tokens.push({ type: 'name', value: match[0] });
+                    i += match[0].length;
+                } else {
+                    var punctuation = PUNCTUATION.filter(function (p) { return rest.indexOf(p) === 0; })[0];
+                    if (!punctuation) throw ParseError('Unexpected "' + ch + '" in "' + text + '"');
+                    tokens.push({ type: 'op', value: punctuation });
+                    i += punctuation.length;
+                }
+            }
+            return tokens;
+        }
+
+        // ---- Parser (recursive descent, evaluating as it goes) ----
+
+        function Parser(text, currentWorkItem) {
+            this.text = text;
+            this.tokens = tokenize(text);
+            this.position = 0;
+            this.currentWorkItem = currentWorkItem;
+            // Above 0 while parsing a branch that is not taken: it is checked but not evaluated
+            this.skip = 0;
+        }
+
+        Parser.prototype.peek = function () {
+            return this.tokens[this.position];
+        };
+
+        Parser.prototype.accept = function (op) {
+            var token = this.peek();
+            if (token && token.type === 'op' && token.value === op) {
+                this.position++;
+                return true;
+            }
+            return false;
+        };
+
+        Parser.prototype.expect = function (op) {
+            if (!this.accept(op)) {
+                throw ParseError('Expected "' + op + '" in "' + this.text + '"');
+            }
+        };
+
+        // Parse without evaluating, so that an untaken branch cannot fail the expression
+        Parser.prototype.skipped = function (parse) {
+            this.skip++;
+            try {
+                parse.call(this);
+            } finally {
+                this.skip--;
+            }
+            return null;
+        };
+
+        Parser.prototype.parse = function () {
+            var value = this.conditional();
+            if (this.position < this.tokens.length) {
+                throw ParseError('Unexpected "' + this.peek().value + '" in "' + this.text + '"');
+            }
+            return value;
+        };
+
+        Parser.prototype.conditional = function () {
+            var condition = this.or();
+            if (this.accept('?')) {
+                var taken = isTruthy(condition);
+                var whenTrue = taken ? this.conditional() : this.skipped(this.conditional);
+                this.expect(':');
+                var whenFalse = taken ? this.skipped(this.conditional) : this.conditional();
+                return taken ? whenTrue : whenFalse;
+            }
+            return condition;
+        };
+
+        // Like JavaScript, || and && return one of their operands: {Custom.Owner || System.AssignedTo}
+        Parser.prototype.or = function () {
+            var value = this.and();
+            while (this.accept('||')) {
+                if (isTruthy(value)) {
+                    this.skipped(this.and);
+                } else {
+                    value = this.and();
+                }
+            }
+            return value;
+        };
+
+        Parser.prototype.and = function () {
+            var value = this.comparison();
+            while (this.accept('&&')) {
+                if (isTruthy(value)) {
+                    value = this.comparison();
+                } else {
+                    this.skipped(this.comparison);
+                }
+            }
+            return value;
+        };
+
+        Parser.prototype.comparison = function () {
+            var value = this.additive();
+            var ops = ['==', '!=', '>=', '<=', '>', '<'];
+            for (var i = 0; i < ops.length; i++) {
+                if (this.accept(ops[i])) {
+                    var diff = compareValues(value, this.additive());
+                    switch (ops[i]) {
+                        case '==': return diff === 0;
+                        case '!=': return diff !== 0;
+                        case '>=': return diff >= 0;
+                        case '<=': return diff <= 0;
+                        case '>': return diff > 0;
+                        case '<': return diff < 0;
+                    }
+                }
+            }
+            return value;
+        };
+
+        Parser.prototype.additive = function () {
+            var value = this.multiplicative();
+            while (true) {
+                if (this.accept('+')) {
+                    var right = this.multiplicative();
+                    // Numbers add, anything else concatenates
+                    value = (typeof value === 'number' && typeof right === 'number') ? value + right : toText(value) + toText(right);
+                } else if (this.accept('-')) {
+                    var a = toNumber(value), b = toNumber(this.multiplicative());
+                    value = (a === null || b === null) ? null : a - b;
+                } else {
+                    return value;
+                }
+            }
+        };
+
+        Parser.prototype.multiplicative = function () {
+            var value = this.unary();
+            while (true) {
+                var op = this.accept('*') ? '*' : (this.accept('/') ? '/' : (this.accept('%') ? '%' : null));
+                if (!op) return value;
+                var a = toNumber(value), b = toNumber(this.unary());
+                if (a === null || b === null || (op !== '*' && b === 0)) {
+                    value = null;
+                } else {
+                    value = op === '*' ? a * b : (op === '/' ? a / b : a % b);
+                }
+            }
+        };
+
+        Parser.prototype.unary = function () {
+            if (this.accept('-')) {
+                var value = toNumber(this.unary());
+                return value === null ? null : -value;
+            }
+            if (this.accept('!')) {
+                return !isTruthy(this.unary());
+            }
+            return this.primary();
+        };
+
+        Parser.prototype.primary = function () {
+            var token = this.peek();
+            if (!token) {
+                throw ParseError('Unexpected end of "' + this.text + '"');
+            }
+
+            if (this.accept('(')) {
+                var value = this.conditional();
+                this.expect(')');
+                return value;
+            }
+
+            this.position++;
+            if (token.type === 'number' || token.type === 'string') {
+                return token.value;
+            }
+
+            if (token.type === 'name') {
+                // Function call
+                if (this.accept('(')) {
+                    var fn = functions[token.value];
+                    if (!fn) {
+                        throw ExpressionError('Unknown function "' + token.value + '"');
+                    }
+                    var args = [];
+                    if (!this.accept(')')) {
+                        do {
+                            args.push(this.conditional());
+                        } while (this.accept(','));
+                        this.expect(')');
+                    }
+                    return this.skip > 0 ? null : fn(args);
+                }
+                if (token.value === 'true' || token.value === 'false') {
+                    return token.value === 'true';
+                }
+                // Parent field reference, e.g. System.Title or Custom.Component
+                if (this.skip > 0) {
+                    return null;
+                }
+                return fromField(_Filters.getFieldValue(this.currentWorkItem, token.value));
+            }
+
+            throw ParseError('Unexpected "' + token.value + '" in "' + this.text + '"');
+        };
+
+        // ---- Template values ----
+
+        // Index of the "|" that starts a default value, ignoring "||" and anything inside quotes
+        function findDefaultSeparator(text) {
+            var quote = null;
+            for (var i = 0; i < text.length; i++) {
+                var ch = text.charAt(i);
+                if (quote) {
+                    if (ch === '\\') i++;
+                    else if (ch === quote) quote = null;
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else if (ch === '|') {
+                    if (text.charAt(i + 1) === '|') { i++; continue; }
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Evaluate the expression inside a pair of braces against the parent work item. The result
+         * keeps its type (string, number, boolean, Date or null).
+         * - Field reference: System.Title
+         * - Default when empty: Custom.Component|General
+         * - Functions, operators and conditionals: upper(System.Title), StoryPoints * 2, cond ? a : b
+         * @param {*} expression
+         * @param {*} currentWorkItem
+         */
+        function evaluate(expression, currentWorkItem) {
+            var separator = findDefaultSeparator(expression);
+            var body = separator === -1 ? expression : expression.substring(0, separator);
+            var value = new Parser(body, currentWorkItem).parse();
+
+            if (separator !== -1 && isEmpty(value)) {
+                var fallback = expression.substring(separator + 1).trim();
+                // Strip quotes around the default, if any
+                var quoted = fallback.match(/^(["'])(.*)\1$/);
+                return quoted ? quoted[2] : fallback;
+            }
+            return value;
+        }
+
+        // Find the "{...}" expressions in a template value, honouring quotes inside them
+        function findExpressions(text) {
+            var found = [];
+            var start = text.indexOf('{');
+            while (start !== -1) {
+                var quote = null;
+                var end = -1;
+                for (var i = start + 1; i < text.length; i++) {
+                    var ch = text.charAt(i);
+                    if (quote) {
+                        if (ch === '\\') i++;
+                        else if (ch === quote) quote = null;
+                    } else if (ch === '"' || ch === "'") {
+                        quote = ch;
+                    } else if (ch === '{') {
+                        // Not an expression; restart from the inner brace
+                        break;
+                    } else if (ch === '}') {
+                        end = i;
+                        break;
+                    }
+                }
+                if (end === -1) {
+                    start = text.indexOf('{', start + 1);
+                    continue;
+                }
+                found.push({ start: start, end: end + 1, expression: text.substring(start + 1, end) });
+                start = text.indexOf('{', end + 1);
+            }
+            return found;
+        }
+
+        /**
+         * Replace every "{expression}" in a template field value with its result. A value that is
+         * a single expression keeps the result's type (e.g. a number); otherwise the results are
+         * inserted as text. Text in braces that is not a valid expression is kept as is when it
+         * does not name a parent field either (e.g. braces in an HTML description).
+         * Throws an ExpressionError for unknown functions or wrong arguments.
+         * @param {*} fieldValue
+         * @param {*} currentWorkItem
+         */
+        function evaluateTemplate(fieldValue, currentWorkItem) {
+            if (typeof fieldValue !== 'string') return fieldValue;
+
+            var expressions = findExpressions(fieldValue);
+            if (expressions.length == 0) return fieldValue;
+
+            var results = expressions.map(function (found) {
+                try {
+                    return { value: evaluate(found.expression, currentWorkItem) };
+                } catch (e) {
+                    if (!e || !e.syntax) throw e;
+                    // Legacy {Field Name} references that are not valid expressions
+                    var raw = _Filters.getFieldValue(currentWorkItem, found.expression.trim());
+                    if (raw !== undefined) return { value: fromField(raw) };
+                    return { text: fieldValue.substring(found.start, found.end) };
+                }
+            });
+
+            if (expressions.length == 1 && expressions[0].start === 0 && expressions[0].end === fieldValue.length && results[0].hasOwnProperty('value')) {
+                var single = results[0].value;
+                return (single instanceof Date || isEmpty(single)) ? toText(single) : single;
+            }
+
+            var output = '';
+            var position = 0;
+            expressions.forEach(function (found, index) {
+                output += fieldValue.substring(position, found.start);
+                output += results[index].hasOwnProperty('value') ? toText(results[index].value) : results[index].text;
+                position = found.end;
+            });
+            return output + fieldValue.substring(position);
+        }
+
+        /**
+         * List the "{expression}" parts of a template value with the parent fields and functions
+         * they use, without evaluating them: [{ start, end, expression, fields, functions, error }].
+         * error holds the syntax error of an expression that is not valid (evaluateTemplate then
+         * keeps it as text unless it names a parent field). Used to check templates.
+         * @param {*} fieldValue
+         */
+        function findReferences(fieldValue) {
+            if (typeof fieldValue !== 'string') return [];
+
+            return findExpressions(fieldValue).map(function (found) {
+                var separator = findDefaultSeparator(found.expression);
+                var body = separator === -1 ? found.expression : found.expression.substring(0, separator);
+                var reference = { start: found.start, end: found.end, expression: found.expression, fields: [], functions: [], error: null };
+
+                var tokens;
+                try {
+                    tokens = tokenize(body);
+                    // Parse against an empty work item for the syntax only
+                    new Parser(body, {}).parse();
+                } catch (e) {
+                    // Evaluation errors depend on the parent's values; only the syntax is checked here
+                    if (e && e.syntax) {
+                        reference.error = e.message;
+                        return reference;
+                    }
+                    if (!tokens) throw e;
+                }
+
+                tokens.forEach(function (token, index) {
+                    if (token.type !== 'name' || token.value === 'true' || token.value === 'false') return;
+                    var next = tokens[index + 1];
+                    var list = (next && next.type === 'op' && next.value === '(') ? reference.functions : reference.fields;
+                    if (list.indexOf(token.value) === -1) list.push(token.value);
+                });
+                return reference;
+            });
+        }
+
+        return {
+            DAY: DAY,
+            evaluate: evaluate,
+            evaluateTemplate: evaluateTemplate,
+            findReferences: findReferences,
+            fromField: fromField,
+            functions: Object.keys(functions),
+            startOfToday: startOfToday,
+            toDate: toDate,
+            toText: toText
+        };
+    });
@@ -0,0 +1,351 @@
+define([],
+    function () {
+
+        /**
+         * Normalize a tags value to an array of tag names.
+         * @param {*} val // Array of tags, or a semicolon-separated string as stored in System.Tags
+         */
+        function toTagArray(val) {
+            if (Array.isArray(val)) return val.slice();
+            if (val == null) return [];
+            // Azure DevOps uses semicolon-separated tags; accept commas/newlines too
+            return val
+                .toString()
+                .split(/[;\,\n]/)
+                .map(function (s) { return s.trim(); })
+                .filter(function (s) { return s; });
+        }
+
+        /**
+         * Compare a strong to another wildcard string (i.e. rule). Examples:
+         * - "a*b" => everything that starts with "a" and ends with "b"
+         * - "a*" => everything that starts with "a"
+         * - "*b" => everything that ends with "b"
+         * - "*a*" => everything that has an "a" in it
+         * - "*a*b*"=> everything that has an "a" in it, followed by anything, followed by a "b", followed by anything
+         * https://stackoverflow.com/questions/26246601/wildcard-string-comparison-in-javascript
+         * @param {*} str
+         * @param {*} rule
+         */
+        function matchWildcardString(str, rule) {
+            // Coerce to strings and do case-insensitive match with safe escaping
+            var s = (str == null ? '' : String(str));
+            var r = (rule == null ? '' : String(rule));
+            var escapeRegex = function (x) { return x.replace(/([.*+?^=!:${}()|\[\]\/\\])/g, "\\$1"); };
+            return new RegExp("^" + r.split("*").map(escapeRegex).join(".*") + "$", "i").test(s);
+        }
+
+        /**
+         * Get a field value from the work item. Field reference names are case-insensitive in
+         * Azure DevOps, so fall back to a case-insensitive lookup.
+         * @param {*} currentWorkItem
+         * @param {*} fieldName
+         */
+        function getFieldValue(currentWorkItem, fieldName) {
+            if (!currentWorkItem) return undefined;
+            if (currentWorkItem.hasOwnProperty(fieldName)) return currentWorkItem[fieldName];
+
+            var lowerName = fieldName.toLowerCase();
+            for (var key in currentWorkItem) {
+                if (currentWorkItem.hasOwnProperty(key) && key.toLowerCase() === lowerName) {
+                    return currentWorkItem[key];
+                }
+            }
+            return undefined;
+        }
+
+        // Identity fields (AssignedTo, CreatedBy...) are objects; a rule may name the display name, the unique name or both
+        function toStrings(value) {
+            if (value == null) return [];
+            if (typeof value === 'object' && (value.displayName || value.uniqueName)) {
+                return [value.displayName, value.uniqueName, value.displayName + ' <' + value.uniqueName + '>']
+                    .filter(function (s) { return s; });
+            }
+            return [String(value)];
+        }
+
+        function isTagField(fieldName) {
+            return fieldName.toLowerCase() === 'system.tags';
+        }
+
+        function isPlainObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        // Scalar equality: case-insensitive, with wildcards (*) on strings. For tags: the tag is present.
+        function equals(fieldName, actual, expected) {
+            var expectedStr = (expected == null ? '' : String(expected));
+            var hasWildcard = expectedStr.indexOf('*') !== -1;
+
+            if (isTagField(fieldName)) {
+                return toTagArray(actual).some(function (tag) { return matchWildcardString(tag, expectedStr); });
+            }
+
+            var values = toStrings(actual);
+            if (values.length == 0) {
+                // Missing value only matches a wildcard rule such as "*"
+                return hasWildcard && matchWildcardString('', expectedStr);
+            }
+            return values.some(function (value) {
+                if (hasWildcard) {
+                    return matchWildcardString(value, expectedStr);
+                }
+                if (typeof expected === 'number') {
+                    return parseFloat(value) === expected;
+                }
+                return value.toLowerCase() === expectedStr.toLowerCase();
+            });
+        }
+
+        // Convert both sides to numbers, or dates when the expected value is not numeric. Returns null when not comparable.
+        function toComparable(actual, expected) {
+            if (actual == null || expected == null || typeof actual === 'object') return null;
+
+            var numeric = /^\s*-?\d+(\.\d+)?\s*$/;
+            if (typeof expected === 'number' || numeric.test(String(expected))) {
+                var a = parseFloat(actual), e = parseFloat(expected);
+                return (isNaN(a) || isNaN(e)) ? null : [a, e];
+            }
+
+            var aDate = Date.parse(actual), eDate = Date.parse(expected);
+            return (isNaN(aDate) || isNaN(eDate)) ? null : [aDate, eDate];
+        }
+
+        function compare(actual, expected, test) {
+            var pair = toComparable(actual, expected);
+            return pair != null && test(pair[0], pair[1]);
+        }
+
+        function toArray(value) {
+            return Array.isArray(value) ? value : [value];
+        }
+
+        // Normalize an area/iteration path for comparison: backslash separators, no leading/trailing separator, lower case
+        function normalizePath(path) {
+            return String(path)
+                .replace(/\//g, '\\')
+                .replace(/^\\+|\\+$/g, '')
+                .toLowerCase();
+        }
+
+        /**
+         * Tree path match with the semantics of WIQL UNDER: the path itself or any path below it.
+         * "Project\Platform" matches "Project\Platform" and "Project\Platform\API\Auth", but not "Project\Platform2".
+         * @param {*} path
+         * @param {*} root
+         */
+        function isUnderPath(path, root) {
+            if (path == null || root == null) return false;
+            var p = normalizePath(path), r = normalizePath(root);
+            return p === r || p.indexOf(r + '\\') === 0;
+        }
+
+        /**
+         * Operators usable in a rule object, e.g. { "not": "Closed" } or { "gte": 2, "lt": 5 }.
+         * Each receives the field name, the work item's value and the operand.
+         */
+        var operators = {
+            eq: function (fieldName, actual, operand) {
+                return matchValue(fieldName, actual, operand);
+            },
+            not: function (fieldName, actual, operand) {
+                return !matchValue(fieldName, actual, operand);
+            },
+            'in': function (fieldName, actual, operand) {
+                return toArray(operand).some(function (v) { return equals(fieldName, actual, v); });
+            },
+            notIn: function (fieldName, actual, operand) {
+                return !operators['in'](fieldName, actual, operand);
+            },
+            contains: function (fieldName, actual, operand) {
+                if (isTagField(fieldName)) {
+                    return equals(fieldName, actual, operand);
+                }
+                var expected = String(operand).toLowerCase();
+                return toStrings(actual).some(function (value) { return value.toLowerCase().indexOf(expected) !== -1; });
+            },
+            regex: function (fieldName, actual, operand) {
+                var regex = new RegExp(operand, 'i');
+                if (isTagField(fieldName)) {
+                    return toTagArray(actual).some(function (tag) { return regex.test(tag); });
+                }
+                return toStrings(actual).some(function (value) { return regex.test(value); });
+            },
+            gt: function (fieldName, actual, operand) {
+                return compare(actual, operand, function (a, e) { return a > e; });
+            },
+            gte: function (fieldName, actual, operand) {
+                return compare(actual, operand, function (a, e) { return a >= e; });
+            },
+            lt: function (fieldName, actual, operand) {
+                return compare(actual, operand, function (a, e) { return a < e; });
+            },
+            lte: function (fieldName, actual, operand) {
+                return compare(actual, operand, function (a, e) { return a <= e; });
+            },
+            under: function (fieldName, actual, operand) {
+                return toArray(operand).some(function (root) { return isUnderPath(actual, root); });
+            },
+            notUnder: function (fieldName, actual, operand) {
+                return !operators.under(fieldName, actual, operand);
+            },
+            between: function (fieldName, actual, operand) {
+                if (!Array.isArray(operand) || operand.length != 2) {
+                    throw new Error('"between" expects an array of two values');
+                }
+                return operators.gte(fieldName, actual, operand[0]) && operators.lte(fieldName, actual, operand[1]);
+            }
+        };
+
+        /**
+         * Match a work item value against a rule:
+         * - scalar: equality (case-insensitive, * wildcards); for tags the tag must be present
+         * - array: any of the values; for tags all of the tags must be present
+         * - object: every operator in it must pass (see operators)
+         * @param {*} fieldName
+         * @param {*} actual
+         * @param {*} rule
+         */
+        function matchValue(fieldName, actual, rule) {
+
+            // A tags string may list several tags, e.g. "Tag1; Tag2", which must all be present
+            if (isTagField(fieldName) && typeof rule === 'string') {
+                return toTagArray(rule).every(function (tag) { return equals(fieldName, actual, tag); });
+            }
+
+            if (Array.isArray(rule)) {
+                if (isTagField(fieldName)) {
+                    return rule.every(function (r) { return matchValue(fieldName, actual, r); });
+                }
+                return rule.some(function (r) { return matchValue(fieldName, actual, r); });
+            }
+
+            if (isPlainObject(rule)) {
+                var keys = Object.keys(rule);
+                if (keys.length == 0) {
+                    throw new Error('Empty rule object for ' + fieldName);
+                }
+                return keys.every(function (op) {
+                    if (!operators.hasOwnProperty(op)) {
+                        throw new Error('Unknown operator "' + op + '" for ' + fieldName);
+                    }
+                    return operators[op](fieldName, actual, rule[op]);
+                });
+            }
+
+            return equals(fieldName, actual, rule);
+        }
+
+        /**
+         * Match a specific field in the current work item against a filter element.
+         * @param {*} fieldName // The name of the field to match
+         * @param {*} currentWorkItem // The current work item being evaluated
+         * @param {*} filterElement // The filter element containing the criteria
+         * @returns
+         */
+        function matchField(fieldName, currentWorkItem, filterElement) {
+
+            // Get the filter value for the specific field (e.g. System.State)
+            var filterVal = filterElement[fieldName];
+
+            // If no filter provided, always a match
+            if (typeof filterVal === 'undefined' || filterVal === null) {
+                return true;
+            }
+
+            return matchValue(fieldName, getFieldValue(currentWorkItem, fieldName), filterVal);
+        }
+
+        // Keys of a condition that hold nested groups rather than field names
+        var GROUPS = {
+            all: function (results) { return results.every(function (r) { return r; }); },
+            any: function (results) { return results.some(function (r) { return r; }); },
+            none: function (results) { return !results.some(function (r) { return r; }); }
+        };
+
+        /**
+         * Evaluate a condition (an applywhen entry or a condition inside a group) against the work item.
+         * Field keys are combined with AND, together with the nested "all", "any" and "none" groups,
+         * each of which holds an array of conditions. Throws on malformed conditions.
+         * Returns a trace: { path, matched, clauses: [{ field, rule, actual, matched }], groups: [{ type, path, matched, conditions }] }
+         * @param {*} condition
+         * @param {*} currentWorkItem
+         * @param {*} path // Where the condition is in the filter JSON, for display (e.g. "applywhen[0].any[1]")
+         */
+        function evaluateCondition(condition, currentWorkItem, path) {
+
+            if (!isPlainObject(condition)) {
+                throw new Error('Expected an object at ' + path);
+            }
+
+            var clauses = [];
+            var groups = [];
+
+            Object.keys(condition).forEach(function (key) {
+                var value = condition[key];
+                if (value === undefined || value === null) {
+                    return;
+                }
+
+                if (GROUPS.hasOwnProperty(key)) {
+                    var groupPath = path + '.' + key;
+                    var conditions = toArray(value).map(function (child, index) {
+                        return evaluateCondition(child, currentWorkItem, groupPath + '[' + index + ']');
+                    });
+                    groups.push({
+                        type: key,
+                        path: groupPath,
+                        matched: GROUPS[key](conditions.map(function (c) { return c.matched; })),
+                        conditions: conditions
+                    });
+                    return;
+                }
+
+                // Every other key names a parent work item field, including custom fields
+                clauses.push({
+                    field: key,
+                    rule: value,
+                    actual: getFieldValue(currentWorkItem, key),
+                    matched: matchField(key, currentWorkItem, condition)
+                });
+            });
+
+            return {
+                path: path,
+                matched: clauses.every(function (c) { return c.matched; }) && groups.every(function (g) { return g.matched; }),
+                clauses: clauses,
+                groups: groups
+            };
+        }
+
+        /**
+         * The names of the work item fields a condition tests, including those in nested groups.
+         * @param {*} condition
+         */
+        function getConditionFields(condition) {
+            if (!isPlainObject(condition)) return [];
+
+            var fields = [];
+            Object.keys(condition).forEach(function (key) {
+                var names = GROUPS.hasOwnProperty(key)
+                    ? toArray(condition[key]).reduce(function (all, child) { return all.concat(getConditionFields(child)); }, [])
+                    : [key];
+                names.forEach(function (name) {
+                    if (fields.indexOf(name) === -1) fields.push(name);
+                });
+            });
+            return fields;
+        }
+
+        return {
+            evaluateCondition: evaluateCondition,
+            getConditionFields: getConditionFields,
+            getFieldValue: getFieldValue,
+            isUnderPath: isUnderPath,
+            matchField: matchField,
+            matchValue: matchValue,
+            matchWildcardString: matchWildcardString,
+            operators: Object.keys(operators),
+            toTagArray: toTagArray
+        };
+    });
@@ -0,0 +1,282 @@
+define(["TFS/WorkItemTracking/RestClient", "q", "./rules"],
+    function (_WorkItemRestClient, Q, _Rules) {
+
+        // Where templates come from. The precedence decides which source wins when several have a
+        // template with the same name and work item type.
+        var SOURCES = ['team', 'library', 'project'];
+        var DEFAULT_SOURCES = { libraryTeams: [], precedence: SOURCES };
+
+        // Extension data collections, one per project: the source settings and the project-wide templates
+        var SETTINGS_COLLECTION = 'cct-settings-';
+        var SETTINGS_ID = 'sources';
+        var TEMPLATES_COLLECTION = 'cct-templates-';
+
+        function log(msg) {
+            console.log('Create Child Tasks: ' + msg);
+        }
+
+        function getErrorMessage(err) {
+            if (!err) return 'Unknown error';
+            return err.message || err.serverError && err.serverError.message || String(err);
+        }
+
+        function getDataService() {
+            return Q(VSS.getService(VSS.ServiceIds.ExtensionData));
+        }
+
+        function createId() {
+            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+                var r = Math.random() * 16 | 0;
+                return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+            });
+        }
+
+        // A copy of a template (or template reference) that records where it comes from
+        function withSource(template, source) {
+            var copy = {};
+            Object.keys(template).forEach(function (key) { copy[key] = template[key]; });
+            copy.source = source;
+            return copy;
+        }
+
+        function withoutSource(template) {
+            var copy = {};
+            Object.keys(template).forEach(function (key) {
+                if (key !== 'source') copy[key] = template[key];
+            });
+            return copy;
+        }
+
+        /**
+         * Load the template sources of the project: { libraryTeams: [{ id, name }], precedence: [...] }.
+         * Without saved settings, only the team's own templates and the project templates are used,
+         * the team's winning.
+         * @param {*} projectId
+         */
+        function loadSources(projectId) {
+            return getDataService()
+                .then(function (dataService) {
+                    return dataService.getDocument(SETTINGS_COLLECTION + projectId, SETTINGS_ID);
+                })
+                .then(function (document) {
+                    var precedence = (document.precedence || []).filter(function (type) { return SOURCES.indexOf(type) !== -1; });
+                    return {
+                        libraryTeams: document.libraryTeams || [],
+                        precedence: precedence.length == SOURCES.length ? precedence : SOURCES,
+                        __etag: document.__etag
+                    };
+                }, function (err) {
+                    // The document does not exist until the sources are saved once
+                    if (!err || err.status != 404) {
+                        log('Failed to load the template sources, using the team templates: ' + getErrorMessage(err));
+                    }
+                    return { libraryTeams: DEFAULT_SOURCES.libraryTeams, precedence: DEFAULT_SOURCES.precedence };
+                });
+        }
+
+        function saveSources(projectId, sources) {
+            var document = {
+                id: SETTINGS_ID,
+                libraryTeams: sources.libraryTeams,
+                precedence: sources.precedence,
+                __etag: sources.__etag
+            };
+            return getDataService()
+                .then(function (dataService) {
+                    return dataService.setDocument(SETTINGS_COLLECTION + projectId, document);
+                });
+        }
+
+        // The project-wide templates, stored as extension data documents { id, name, workItemTypeName, description, fields }
+        function getProjectTemplates(projectId) {
+            return getDataService()
+                .then(function (dataService) {
+                    return dataService.getDocuments(TEMPLATES_COLLECTION + projectId);
+                })
+                .then(function (documents) {
+                    return documents || [];
+                }, function (err) {
+                    // The collection does not exist until a template is shared with the project
+                    if (!err || err.status != 404) {
+                        log('Failed to load the project templates: ' + getErrorMessage(err));
+                    }
+                    return [];
+                });
+        }
+
+        // Shared templates with "locked": true in their settings cannot be overridden by a team's own template
+        function isLocked(template) {
+            if (template.source.type === 'team') return false;
+            var extracted = _Rules.extractJSON(template.description || '', template.name);
+            return !!(extracted && extracted[0] && extracted[0].locked === true);
+        }
+
+        function getRank(template, precedence) {
+            var rank = precedence.indexOf(template.source.type) * 1000 + (template.source.order || 0);
+            return isLocked(template) ? rank - SOURCES.length * 1000 : rank;
+        }
+
+        function isSameSource(a, b) {
+            return a.source.type === b.source.type && a.source.teamId === b.source.teamId;
+        }
+
+        /**
+         * Keep one version of each template: templates with the same name and work item type from
+         * several sources are the same template, and the source with the best rank wins (see getRank).
+         * The winners record the sources they override in source.overrides.
+         * @param {*} templates // References from all sources, with their source
+         * @param {*} precedence
+         */
+        function mergeTemplates(templates, precedence) {
+            var groups = {};
+            var keys = [];
+            templates.forEach(function (template) {
+                var key = String(template.name).toLowerCase() + '\n' + String(template.workItemTypeName).toLowerCase();
+                if (!groups.hasOwnProperty(key)) {
+                    groups[key] = [];
+                    keys.push(key);
+                }
+                groups[key].push(template);
+            });
+
+            var merged = [];
+            keys.forEach(function (key) {
+                var group = groups[key].slice().sort(function (a, b) { return getRank(a, precedence) - getRank(b, precedence); });
+                // A source may hold several templates with the same name; they are all kept
+                var winners = group.filter(function (template) { return isSameSource(template, group[0]); });
+                var overridden = group.filter(function (template) { return !isSameSource(template, group[0]); });
+                winners.forEach(function (template) {
+                    template.source.overrides = overridden.map(function (other) { return other.source.name; });
+                    merged.push(template);
+                });
+            });
+            return merged;
+        }
+
+        /**
+         * The templates that apply to a team: its own, those of the library teams and the project
+         * templates, merged (see mergeTemplates). Team templates are references without fields; load
+         * the full template with getTemplate. Each template has a source: { type, teamId, name, overrides }.
+         * Library and project templates that cannot be loaded are left out.
+         * @param {*} projectId
+         * @param {*} teamId
+         * @param {*} workItemTypes // Optional: only the templates of these work item types
+         */
+        function getTemplates(projectId, teamId, workItemTypes) {
+            var witClient = _WorkItemRestClient.getClient();
+
+            return loadSources(projectId)
+                .then(function (sources) {
+                    var libraryTeams = sources.libraryTeams.filter(function (team) { return team.id !== teamId; });
+
+                    var requests = [Q(witClient.getTemplates(projectId, teamId))
+                        .then(function (templates) {
+                            return templates.map(function (template) {
+                                return withSource(template, { type: 'team', teamId: teamId, name: 'Team' });
+                            });
+                        })];
+
+                    libraryTeams.forEach(function (team, index) {
+                        requests.push(Q(witClient.getTemplates(projectId, team.id))
+                            .then(function (templates) {
+                                return templates.map(function (template) {
+                                    return withSource(template, { type: 'library', teamId: team.id, name: 'Library: ' + team.name, order: index });
+                                });
+                            }, function (err) {
+                                log('Failed to load the templates of library team ' + team.name + ': ' + getErrorMessage(err));
+                                return [];
+                            }));
+                    });
+
+                    requests.push(getProjectTemplates(projectId)
+                        .then(function (templates) {
+                            return templates.map(function (template) {
+                                return withSource(template, { type: 'project', teamId: null, name: 'Project' });
+                            });
+                        }));
+
+                    return Q.all(requests)
+                        .then(function (lists) {
+                            var templates = mergeTemplates([].concat.apply([], lists), sources.precedence);
+                            if (!workItemTypes) {
+                                return templates;
+                            }
+                            var types = workItemTypes.map(function (type) { return type.toLowerCase(); });
+                            return templates.filter(function (template) {
+                                return types.indexOf(String(template.workItemTypeName).toLowerCase()) !== -1;
+                            });
+                        });
+                });
+        }
+
+        /**
+         * Load the full template (with its fields) for a reference returned by getTemplates.
+         * @param {*} projectId
+         * @param {*} reference
+         */
+        function getTemplate(projectId, reference) {
+            if (reference.source.type === 'project') {
+                return Q.when(withSource(reference, reference.source));
+            }
+            return Q(_WorkItemRestClient.getClient().getTemplate(projectId, reference.source.teamId, reference.id))
+                .then(function (template) {
+                    return withSource(template, reference.source);
+                });
+        }
+
+        /**
+         * Save a full template back to where it comes from: the team that owns it, or the project
+         * templates. Resolves with the saved template.
+         * @param {*} projectId
+         * @param {*} template
+         */
+        function saveTemplate(projectId, template) {
+            var content = withoutSource(template);
+            var request = template.source.type === 'project'
+                ? getDataService().then(function (dataService) {
+                    return dataService.setDocument(TEMPLATES_COLLECTION + projectId, content);
+                })
+                : Q(_WorkItemRestClient.getClient().replaceTemplate(content, projectId, template.source.teamId, template.id));
+
+            return request.then(function (saved) {
+                return withSource(saved, template.source);
+            });
+        }
+
+        /**
+         * Copy a full template into the project templates, where every team gets it.
+         * @param {*} projectId
+         * @param {*} template
+         */
+        function shareTemplate(projectId, template) {
+            var document = {
+                id: createId(),
+                name: template.name,
+                workItemTypeName: template.workItemTypeName,
+                description: template.description,
+                fields: template.fields
+            };
+            return getDataService()
+                .then(function (dataService) {
+                    return dataService.createDocument(TEMPLATES_COLLECTION + projectId, document);
+                });
+        }
+
+        function removeProjectTemplate(projectId, id) {
+            return getDataService()
+                .then(function (dataService) {
+                    return dataService.deleteDocument(TEMPLATES_COLLECTION + projectId, id);
+                });
+        }
+
+        return {
+            getTemplate: getTemplate,
+            getTemplates: getTemplates,
+            loadSources: loadSources,
+            mergeTemplates: mergeTemplates,
+            removeProjectTemplate: removeProjectTemplate,
+            saveSources: saveSources,
+            saveTemplate: saveTemplate,
+            shareTemplate: shareTemplate
+        };
+    });
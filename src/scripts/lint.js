@@ -0,0 +1,600 @@
+define(["TFS/WorkItemTracking/RestClient", "TFS/Work/RestClient", "q", "./filters", "./expressions", "./tokens", "./rules", "./library"],
+    function (_WorkItemRestClient, _WorkRestClient, Q, _Filters, _Expressions, _Tokens, _Rules, _Library) {
+
+        // The settings a template description may hold next to "applywhen"
+        var SETTINGS = ['applywhen', 'inheritTags', 'estimate', 'foreach', 'dependsOn', 'linkType', 'copyRelations', 'order', 'trigger', 'children', 'allOrNothing', 'locked'];
+        var GROUP_KEYS = ['all', 'any', 'none'];
+        // Operators whose operand names values of the field (rather than a number, a date or a pattern)
+        var VALUE_OPERATORS = ['eq', 'not', 'in', 'notIn'];
+        var PATH_OPERATORS = ['eq', 'not', 'in', 'notIn', 'under', 'notUnder'];
+        var CLASSIFICATION_DEPTH = 14;
+
+        function log(msg) {
+            console.log('Create Child Tasks: ' + msg);
+        }
+
+        function getErrorMessage(err) {
+            if (!err) return 'Unknown error';
+            return err.message || err.serverError && err.serverError.message || String(err);
+        }
+
+        function isPlainObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        function toArray(value) {
+            return Array.isArray(value) ? value : [value];
+        }
+
+        function toLowerCase(values) {
+            return values.map(function (value) { return String(value).toLowerCase(); });
+        }
+
+        // Line and column (both from 1) of an offset in a text
+        function getPosition(text, offset) {
+            var lines = text.substring(0, offset).split(/\r\n|\r|\n/);
+            return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+        }
+
+        /**
+         * Parse the JSON text starting at an offset and record where each value is, so problems can be
+         * reported at a line and column. Returns { value, end, locations } where locations maps a path
+         * ("applywhen/0/System.State") to the offset of the member name, or of the array element.
+         * Throws an error with the offset of the first syntax error.
+         * @param {*} text
+         * @param {*} start
+         */
+        function parseJSON(text, start) {
+            var pos = start;
+            var locations = {};
+
+            var fail = function (message) {
+                var error = new Error(message);
+                error.offset = pos;
+                throw error;
+            };
+            var skipSpace = function () {
+                while (pos < text.length && /\s/.test(text.charAt(pos))) pos++;
+            };
+            var describe = function () {
+                return pos < text.length ? '"' + text.charAt(pos) + '"' : 'the end of the description';
+            };
+
+            var parseString = function () {
+                var end = pos + 1;
+                while (end < text.length && text.charAt(end) !== '"' && !/[\r\n]/.test(text.charAt(end))) {
+                    end += text.charAt(end) === '\\' ? 2 : 1;
+                }
+                if (text.charAt(end) !== '"') fail('Unterminated string');
+                try {
+                    var value = JSON.parse(text.substring(pos, end + 1));
+                } catch (e) {
+                    fail('Invalid string: ' + getErrorMessage(e));
+                }
+                pos = end + 1;
+                return value;
+            };
+
+            var parseValue = function (path) {
+                skipSpace();
+                if (!locations.hasOwnProperty(path)) locations[path] = pos;
+
+                var ch = text.charAt(pos);
+                var prefix = path ? path + '/' : '';
+                if (ch === '{') {
+                    var object = {};
+                    pos++;
+                    skipSpace();
+                    if (text.charAt(pos) === '}') {
+                        pos++;
+                        return object;
+                    }
+                    for (;;) {
+                        skipSpace();
+                        if (text.charAt(pos) !== '"') fail('Expected a property name in double quotes but found ' + describe());
+                        var keyOffset = pos;
+                        var key = parseString();
+                        locations[prefix + key] = keyOffset;
+                        skipSpace();
+                        if (text.charAt(pos) !== ':') fail('Expected ":" after "' + key + '" but found ' + describe());
+                        pos++;
+                        object[key] = parseValue(prefix + key);
+                        skipSpace();
+                        if (text.charAt(pos) === ',') {
+                            pos++;
+                            skipSpace();
+                            if (text.charAt(pos) === '}') fail('Unexpected "," before "}"');
+                            continue;
+                        }
+                        if (text.charAt(pos) === '}') {
+                            pos++;
+                            return object;
+                        }
+                        fail('Expected "," or "}" but found ' + describe());
+                    }
+                }
+                if (ch === '[') {
+                    var array = [];
+                    pos++;
+                    skipSpace();
+                    if (text.charAt(pos) === ']') {
+                        pos++;
+                        return array;
+                    }
+                    for (;;) {
+                        array.push(parseValue(prefix + array.length));
+                        skipSpace();
+                        if (text.charAt(pos) === ',') {
+                            pos++;
+                            skipSpace();
+                            if (text.charAt(pos) === ']') fail('Unexpected "," before "]"');
+                            continue;
+                        }
+                        if (text.charAt(pos) === ']') {
+                            pos++;
+                            return array;
+                        }
+                        fail('Expected "," or "]" but found ' + describe());
+                    }
+                }
+                if (ch === '"') {
+                    return parseString();
+                }
+                var literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.substring(pos));
+                if (!literal) fail('Unexpected ' + describe());
+                pos += literal[0].length;
+                return JSON.parse(literal[0]);
+            };
+
+            var value = parseValue('');
+            return { value: value, end: pos, locations: locations };
+        }
+
+        /**
+         * Collect the tree paths of a classification node and its children ("Project\Team\Area").
+         * @param {*} node
+         * @param {*} parentPath
+         * @param {*} paths
+         */
+        function collectPaths(node, parentPath, paths) {
+            var path = parentPath ? parentPath + '\\' + node.name : node.name;
+            paths.push(path);
+            (node.children || []).forEach(function (child) {
+                collectPaths(child, path, paths);
+            });
+            return paths;
+        }
+
+        // The column names of the team's boards; none when the team has no boards or they cannot be read
+        function loadBoardColumns(projectId, teamId) {
+            var workClient = _WorkRestClient.getClient();
+            var teamContext = { projectId: projectId, teamId: teamId, project: null, team: null };
+            return Q(workClient.getBoards(teamContext))
+                .then(function (boards) {
+                    return Q.all((boards || []).map(function (board) {
+                        return workClient.getBoard(teamContext, board.id);
+                    }));
+                })
+                .then(function (boards) {
+                    var columns = [];
+                    boards.forEach(function (board) {
+                        (board.columns || []).forEach(function (column) {
+                            if (columns.indexOf(column.name) === -1) columns.push(column.name);
+                        });
+                    });
+                    return columns;
+                }, function (err) {
+                    log('Failed to load the board columns: ' + getErrorMessage(err));
+                    return null;
+                });
+        }
+
+        /**
+         * Load what templates are checked against: the fields of the project, its work item types with
+         * their fields and states, the area and iteration paths and the column names of the team's
+         * boards. Paths and columns are null when they cannot be read, and are then not checked.
+         * @param {*} projectId
+         * @param {*} teamId
+         */
+        function loadMetadata(projectId, teamId) {
+            var witClient = _WorkItemRestClient.getClient();
+
+            var classification = Q(witClient.getRootNodes(projectId, CLASSIFICATION_DEPTH))
+                .then(null, function (err) {
+                    log('Failed to load the area and iteration paths: ' + getErrorMessage(err));
+                    return null;
+                });
+
+            return Q.all([witClient.getFields(projectId), witClient.getWorkItemTypes(projectId), classification, loadBoardColumns(projectId, teamId)])
+                .spread(function (fields, workItemTypes, rootNodes, boardColumns) {
+                    var types = {};
+                    workItemTypes.forEach(function (workItemType) {
+                        types[workItemType.name.toLowerCase()] = {
+                            name: workItemType.name,
+                            fields: workItemType.fields ? toLowerCase(workItemType.fields.map(function (field) { return field.referenceName; })) : null,
+                            states: workItemType.states ? workItemType.states.map(function (state) { return state.name; }) : null
+                        };
+                    });
+
+                    var paths = null;
+                    if (rootNodes) {
+                        paths = { area: [], iteration: [] };
+                        rootNodes.forEach(function (root) {
+                            // The structure type is an enum that older clients serialize as a string
+                            var kind = (root.structureType === 1 || String(root.structureType).toLowerCase() === 'iteration') ? 'iteration' : 'area';
+                            paths[kind] = paths[kind].concat(collectPaths(root, '', []));
+                        });
+                    }
+
+                    // Rules and expressions name fields by reference name
+                    var fieldNames = {};
+                    fields.forEach(function (field) {
+                        fieldNames[field.referenceName.toLowerCase()] = field;
+                    });
+
+                    return {
+                        fields: fieldNames,
+                        types: types,
+                        paths: paths,
+                        boardColumns: boardColumns
+                    };
+                });
+        }
+
+        // Whether a path names an existing area or iteration path; wildcard patterns are not checked
+        function pathExists(paths, path) {
+            var value = String(path);
+            if (value.indexOf('*') !== -1 || value.indexOf('{') !== -1 || _Tokens.isToken(value)) return true;
+            return paths.some(function (known) { return _Filters.isUnderPath(known, value) && _Filters.isUnderPath(value, known); });
+        }
+
+        /**
+         * Check one template against the process metadata. Returns [{ level: 'error' | 'warning', where,
+         * line, column, message }]: where is "Description" or the reference name of a template field,
+         * and line and column (from 1) point into that text.
+         * @param {*} template // A full template (with fields and description)
+         * @param {*} meta // See loadMetadata
+         * @param {*} teamTemplates // The other templates of the team, for "children" and "dependsOn"
+         */
+        function lintTemplate(template, meta, teamTemplates) {
+
+            var problems = [];
+            var description = template.description || '';
+
+            var report = function (level, where, text, offset, message) {
+                var position = getPosition(text, offset);
+                problems.push({ level: level, where: where, line: position.line, column: position.column, message: message });
+            };
+
+            var settings = lintDescription(description, template.name, meta, teamTemplates || [], function (level, offset, message) {
+                report(level, 'Description', description, offset, message);
+            });
+
+            var type = meta.types[String(template.workItemTypeName).toLowerCase()];
+            var fields = template.fields || {};
+            var usesForeach = settings && settings.foreach != null;
+
+            Object.keys(fields).forEach(function (fieldName) {
+                var value = fields[fieldName];
+                var text = value == null ? '' : String(value);
+                var at = function (level, offset, message) {
+                    report(level, fieldName, text, offset, message);
+                };
+
+                // Templates store tag changes as System.Tags-Add and System.Tags-Remove, which set System.Tags
+                var checkedName = /^system\.tags-(add|remove)$/i.test(fieldName) ? 'System.Tags' : fieldName;
+                if (type && type.fields && type.fields.indexOf(checkedName.toLowerCase()) === -1) {
+                    at('error', 0, fieldName + ' is not a field of ' + type.name + '.');
+                }
+
+                lintReferences(text, meta, usesForeach, at);
+
+                // Fixed values that name a state or a path must exist
+                if (text === '' || text.indexOf('{') !== -1 || _Tokens.isToken(text)) {
+                    return;
+                }
+                var lowerName = fieldName.toLowerCase();
+                if (lowerName === 'system.state' && type && type.states && toLowerCase(type.states).indexOf(text.toLowerCase()) === -1) {
+                    at('error', 0, '"' + text + '" is not a state of ' + type.name + ' (states: ' + type.states.join(', ') + ').');
+                }
+                if (meta.paths && (lowerName === 'system.areapath' || lowerName === 'system.iterationpath')) {
+                    var kind = lowerName === 'system.areapath' ? 'area' : 'iteration';
+                    if (!pathExists(meta.paths[kind], text)) {
+                        at('error', 0, 'The ' + kind + ' path "' + text + '" does not exist.');
+                    }
+                }
+            });
+
+            if (!type) {
+                problems.unshift({ level: 'error', where: 'Type', line: 1, column: 1, message: '"' + template.workItemTypeName + '" is not a work item type of this project.' });
+            }
+
+            return problems;
+        }
+
+        /**
+         * Check the "{expression}" parts of a template value: bad syntax, unknown functions and
+         * references to fields the project does not have. {item} is only known to foreach templates.
+         * @param {*} text
+         * @param {*} meta
+         * @param {*} usesForeach
+         * @param {*} at // function (level, offset, message)
+         */
+        function lintReferences(text, meta, usesForeach, at) {
+            _Expressions.findReferences(text).forEach(function (reference) {
+                // The legacy tokens "{parent tags}" and "{Field Name}" are not expressions
+                if (/^\s*parent\s+tags\s*$/i.test(reference.expression)) {
+                    return;
+                }
+                if (reference.error) {
+                    if (!meta.fields[reference.expression.trim().toLowerCase()]) {
+                        at('warning', reference.start, 'Invalid expression {' + reference.expression + '} (' + reference.error + '); it is copied as text.');
+                    }
+                    return;
+                }
+                reference.functions.forEach(function (name) {
+                    if (_Expressions.functions.indexOf(name) === -1) {
+                        at('error', reference.start, 'Unknown function "' + name + '" in {' + reference.expression + '}.');
+                    }
+                });
+                reference.fields.forEach(function (name) {
+                    var lowerName = name.toLowerCase();
+                    if (lowerName === 'item' || lowerName.indexOf('item.') === 0) {
+                        if (!usesForeach) {
+                            at('error', reference.start, '{' + reference.expression + '} uses "item", but the template has no "foreach" list.');
+                        }
+                        return;
+                    }
+                    if (!meta.fields[lowerName]) {
+                        at('error', reference.start, 'Unknown field "' + name + '" in {' + reference.expression + '}.');
+                    }
+                });
+            });
+        }
+
+        /**
+         * Check the description of a template: the JSON syntax, the setting names, the fields, values and
+         * operators of the "applywhen" and "trigger" conditions, and the templates named by "children"
+         * and "dependsOn". Returns the settings, or null when the description has none.
+         * @param {*} description
+         * @param {*} contextLabel // The template name, for the log
+         * @param {*} meta
+         * @param {*} teamTemplates
+         * @param {*} at // function (level, offset, message)
+         */
+        function lintDescription(description, contextLabel, meta, teamTemplates, at) {
+
+            var extracted = _Rules.extractJSON(description, contextLabel);
+            if (!extracted) {
+                var firstOpen = description.indexOf('{');
+                if (firstOpen !== -1) {
+                    try {
+                        parseJSON(description, firstOpen);
+                        at('error', firstOpen, 'The JSON in the description cannot be read.');
+                    } catch (e) {
+                        at('error', e.offset, 'Invalid JSON: ' + e.message + '. The template never applies.');
+                    }
+                    return null;
+                }
+                var basicTypes = _Rules.getBasicTypes(description);
+                if (!basicTypes) {
+                    at('warning', 0, 'No filter: the description has neither JSON with "applywhen" nor work item types in square brackets, so the template never applies.');
+                    return null;
+                }
+                basicTypes.forEach(function (typeName) {
+                    if (!meta.types[typeName.toLowerCase()]) {
+                        at('error', Math.max(description.indexOf(typeName), 0), '"' + typeName + '" is not a work item type of this project.');
+                    }
+                });
+                return null;
+            }
+
+            var parsed = parseJSON(description, extracted[1]);
+            var settings = parsed.value;
+            var locate = function (path) {
+                return parsed.locations.hasOwnProperty(path) ? parsed.locations[path] : extracted[1];
+            };
+
+            if (!isPlainObject(settings)) {
+                at('error', extracted[1], 'The JSON in the description must be an object with an "applywhen" array.');
+                return null;
+            }
+
+            Object.keys(settings).forEach(function (key) {
+                if (SETTINGS.indexOf(key) === -1) {
+                    at('warning', locate(key), 'Unknown setting "' + key + '"; it is ignored.');
+                }
+            });
+
+            if (settings.applywhen == null) {
+                at('warning', extracted[1], 'There is no "applywhen", so the template never applies.');
+            }
+
+            ['applywhen', 'trigger'].forEach(function (key) {
+                if (settings[key] == null) return;
+                toArray(settings[key]).forEach(function (condition, index) {
+                    var path = Array.isArray(settings[key]) ? key + '/' + index : key;
+                    lintCondition(condition, path, meta, locate, at);
+                });
+            });
+
+            var findTemplate = function (ref) {
+                var name = String(ref).toLowerCase();
+                return teamTemplates.some(function (template) {
+                    return template.id.toLowerCase() === name || template.name.toLowerCase() === name;
+                });
+            };
+            if (settings.children != null) {
+                toArray(settings.children).forEach(function (ref, index) {
+                    var path = Array.isArray(settings.children) ? 'children/' + index : 'children';
+                    if (isPlainObject(ref)) {
+                        if (!ref.workItemType) {
+                            at('error', locate(path), 'Nested template ' + (index + 1) + ' has no "workItemType".');
+                        } else if (!meta.types[String(ref.workItemType).toLowerCase()]) {
+                            at('error', locate(path + '/workItemType'), '"' + ref.workItemType + '" is not a work item type of this project.');
+                        }
+                        Object.keys(ref).forEach(function (key) {
+                            if (key !== 'name' && key !== 'workItemType' && key !== 'fields' && SETTINGS.indexOf(key) === -1) {
+                                at('warning', locate(path + '/' + key), 'Unknown setting "' + key + '" in nested template ' + (index + 1) + '; it is ignored.');
+                            }
+                        });
+                    } else if (!findTemplate(ref)) {
+                        at('error', locate(path), 'The nested template "' + ref + '" is not a template of this team.');
+                    }
+                });
+            }
+            _Filters.toTagArray(settings.dependsOn).forEach(function (ref) {
+                if (!findTemplate(ref)) {
+                    at('warning', locate('dependsOn'), 'The template depends on "' + ref + '", which is not a template of this team.');
+                }
+            });
+
+            return settings;
+        }
+
+        /**
+         * Check an applywhen or trigger condition and the conditions in its groups.
+         * @param {*} condition
+         * @param {*} path // Where the condition is in the JSON, see parseJSON
+         * @param {*} meta
+         * @param {*} locate // function (path) returning the offset of a path
+         * @param {*} at
+         */
+        function lintCondition(condition, path, meta, locate, at) {
+
+            if (!isPlainObject(condition)) {
+                at('error', locate(path), 'Expected a condition object.');
+                return;
+            }
+
+            // The types a condition is limited to, to check its states against
+            var typeRule = condition[Object.keys(condition).filter(function (key) { return key.toLowerCase() === 'system.workitemtype'; })[0]];
+            var conditionTypes = [];
+            if (typeof typeRule === 'string' || Array.isArray(typeRule)) {
+                toArray(typeRule).forEach(function (typeName) {
+                    var type = meta.types[String(typeName).toLowerCase()];
+                    if (type) conditionTypes.push(type);
+                });
+            }
+
+            Object.keys(condition).forEach(function (key) {
+                var rule = condition[key];
+                var keyPath = path + '/' + key;
+
+                if (GROUP_KEYS.indexOf(key) !== -1) {
+                    toArray(rule).forEach(function (child, index) {
+                        lintCondition(child, Array.isArray(rule) ? keyPath + '/' + index : keyPath, meta, locate, at);
+                    });
+                    return;
+                }
+
+                if (!meta.fields[key.toLowerCase()]) {
+                    at('error', locate(keyPath), 'Unknown field "' + key + '".');
+                    return;
+                }
+                if (rule == null) return;
+
+                // The values the rule names, with the operator they are used with
+                var operands = [];
+                if (isPlainObject(rule)) {
+                    if (Object.keys(rule).length == 0) {
+                        at('error', locate(keyPath), 'Empty rule for ' + key + '.');
+                    }
+                    Object.keys(rule).forEach(function (op) {
+                        if (_Filters.operators.indexOf(op) === -1) {
+                            at('error', locate(keyPath + '/' + op), 'Unknown operator "' + op + '" for ' + key + ' (operators: ' + _Filters.operators.join(', ') + ').');
+                            return;
+                        }
+                        toArray(rule[op]).forEach(function (value, index) {
+                            operands.push({ op: op, value: value, path: Array.isArray(rule[op]) ? keyPath + '/' + op + '/' + index : keyPath + '/' + op });
+                        });
+                    });
+                } else {
+                    toArray(rule).forEach(function (value, index) {
+                        operands.push({ op: 'eq', value: value, path: Array.isArray(rule) ? keyPath + '/' + index : keyPath });
+                    });
+                }
+
+                lintOperands(key.toLowerCase(), operands, conditionTypes, meta, locate, at);
+            });
+        }
+
+        // Check that the values of a rule on the type, state, area or iteration path or board column exist
+        function lintOperands(fieldName, operands, conditionTypes, meta, locate, at) {
+            var isPattern = function (value) {
+                return typeof value !== 'string' || value.indexOf('*') !== -1;
+            };
+
+            operands.forEach(function (operand) {
+                var value = operand.value;
+                var offset = locate(operand.path);
+
+                if (fieldName === 'system.workitemtype' && VALUE_OPERATORS.indexOf(operand.op) !== -1 && !isPattern(value)) {
+                    if (!meta.types[value.toLowerCase()]) {
+                        at('error', offset, '"' + value + '" is not a work item type of this project.');
+                    }
+                }
+
+                if (fieldName === 'system.state' && VALUE_OPERATORS.indexOf(operand.op) !== -1 && !isPattern(value)) {
+                    var types = conditionTypes.length > 0 ? conditionTypes : Object.keys(meta.types).map(function (name) { return meta.types[name]; });
+                    var withStates = types.filter(function (type) { return type.states; });
+                    var valid = withStates.length == 0 || withStates.some(function (type) {
+                        return toLowerCase(type.states).indexOf(value.toLowerCase()) !== -1;
+                    });
+                    if (!valid) {
+                        var typeNames = conditionTypes.length > 0 ? conditionTypes.map(function (type) { return type.name; }).join(', ') : 'any work item type';
+                        at('error', offset, '"' + value + '" is not a state of ' + typeNames + '.');
+                    }
+                }
+
+                if ((fieldName === 'system.areapath' || fieldName === 'system.iterationpath') && meta.paths && PATH_OPERATORS.indexOf(operand.op) !== -1 && !isPattern(value)) {
+                    var kind = fieldName === 'system.areapath' ? 'area' : 'iteration';
+                    if (!pathExists(meta.paths[kind], value)) {
+                        at('error', offset, 'The ' + kind + ' path "' + value + '" does not exist.');
+                    }
+                }
+
+                // Other teams may have other columns, so an unknown column is only a warning
+                if (fieldName === 'system.boardcolumn' && meta.boardColumns && VALUE_OPERATORS.indexOf(operand.op) !== -1 && !isPattern(value)) {
+                    if (toLowerCase(meta.boardColumns).indexOf(value.toLowerCase()) === -1) {
+                        at('warning', offset, '"' + value + '" is not a column of this team\'s boards (columns: ' + meta.boardColumns.join(', ') + ').');
+                    }
+                }
+            });
+        }
+
+        /**
+         * Validate all templates of a team, including those it gets from library teams and the project.
+         * Resolves with [{ id, name, workItemType, source, problems }] sorted by name; a template that
+         * cannot be loaded has a single problem saying so.
+         * @param {*} projectId
+         * @param {*} teamId
+         */
+        function validateTeamTemplates(projectId, teamId) {
+
+            return Q.all([_Library.getTemplates(projectId, teamId), loadMetadata(projectId, teamId)])
+                .spread(function (references, meta) {
+                    return Q.all(references.map(function (reference) {
+                        return Q(_Library.getTemplate(projectId, reference))
+                            .then(function (template) {
+                                return lintTemplate(template, meta, references);
+                            }, function (err) {
+                                return [{ level: 'error', where: 'Template', line: 1, column: 1, message: 'Failed to load template: ' + getErrorMessage(err) }];
+                            })
+                            .then(function (problems) {
+                                return { id: reference.id, name: reference.name, workItemType: reference.workItemTypeName, source: reference.source, problems: problems };
+                            });
+                    }));
+                })
+                .then(function (results) {
+                    return results.sort(function (a, b) { return a.name.localeCompare(b.name); });
+                });
+        }
+
+        return {
+            lintTemplate: lintTemplate,
+            loadMetadata: loadMetadata,
+            parseJSON: parseJSON,
+            validateTeamTemplates: validateTeamTemplates
+        };
+    });
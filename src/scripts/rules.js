@@ -0,0 +1,175 @@
+define(["./filters"],
+    function (_Filters) {
+
+        function log(msg) {
+            console.log('Create Child Tasks: ' + msg);
+        }
+
+        /**
+         * Find the JSON object in a template description. The description may hold other text around
+         * it, so every '{' ... '}' pair is tried, widest first. Returns [value, start, end] with the
+         * position of the JSON text in the description, or null when there is none.
+         * @param {*} str // The template description
+         * @param {*} contextLabel // The template name, for the log
+         */
+        function extractJSON(str, contextLabel) {
+            var firstOpen = -1, firstClose = -1, candidate;
+            var attempts = 0;
+            var lastError = null;
+            firstOpen = str.indexOf('{');
+            if (firstOpen != -1) {
+                do {
+                    firstClose = str.lastIndexOf('}');
+                    if (firstClose <= firstOpen) {
+                        if (attempts > 0) {
+                            log('Failed to parse JSON for template "' + contextLabel + '" after ' + attempts + ' attempts. Last error: ' + lastError);
+                        }
+                        return null;
+                    }
+                    do {
+                        candidate = str.substring(firstOpen, firstClose + 1);
+                        try {
+                            var res = JSON.parse(candidate);
+                            return [res, firstOpen, firstClose + 1];
+                        }
+                        catch (e) {
+                            attempts++;
+                            lastError = (e && e.message) ? e.message : e;
+                        }
+                        firstClose = str.substr(0, firstClose).lastIndexOf('}');
+                    } while (firstClose > firstOpen);
+                    firstOpen = str.indexOf('{', firstOpen + 1);
+                } while (firstOpen != -1);
+                // Exhausted search without success
+                if (attempts > 0) {
+                    log('Failed to parse JSON for template "' + contextLabel + '" after ' + attempts + ' attempts. Last error: ' + lastError);
+                }
+                return null;
+            } else {
+                return null;
+            }
+        }
+
+        /**
+         * The parent work item types listed in square brackets in a description using the basic
+         * filter, e.g. "[Product Backlog Item, Bug]". Returns null when there is no such list.
+         * @param {*} description
+         */
+        function getBasicTypes(description) {
+            var filters = (description || '').match(/[^[\]]+(?=])/g);
+            if (!filters) {
+                return null;
+            }
+            var workItemTypes = [];
+            filters.forEach(function (filter) {
+                filter.split(',').forEach(function (f) { workItemTypes.push(f.trim()); });
+            });
+            return workItemTypes;
+        }
+
+        /**
+         * Evaluate the filter of a template description against the current work item and record how
+         * each clause was decided. There are two ways to provide the criteria: 1) JSON with an
+         * "applywhen" array of conditions; 2) the parent work item types in square brackets.
+         * Returns { mode: 'json' | 'basic' | 'none', matched, entries, note } where each entry is the
+         * trace of _Filters.evaluateCondition (plus an error when the entry is malformed).
+         * @param {*} currentWorkItem
+         * @param {*} description
+         * @param {*} contextLabel // The template name, for the log
+         */
+        function explainFilter(currentWorkItem, description, contextLabel) {
+
+            description = description || '';
+
+            // Try to extract a JSON object from the template description
+            var extracted = extractJSON(description, contextLabel);
+            var jsonFilters = extracted && extracted[0];
+
+            // Proceed only if we have an object with an applywhen array (or a single applywhen condition)
+            if (jsonFilters && typeof jsonFilters === 'object' && jsonFilters.applywhen && typeof jsonFilters.applywhen === 'object') {
+                var entries = explainConditions(currentWorkItem, jsonFilters.applywhen);
+                return {
+                    mode: 'json',
+                    matched: entries.some(function (entry) { return entry.matched; }),
+                    entries: entries
+                };
+            }
+
+            var note = description.indexOf('{') !== -1 ? 'The description contains "{" but no JSON object with an "applywhen" array could be parsed from it.' : null;
+
+            // Check whether the current work item type was specified using the basic square brackets approach
+            var workItemTypes = getBasicTypes(description);
+            if (!workItemTypes) {
+                return { mode: 'none', matched: false, entries: [], note: note };
+            }
+
+            var currentType = currentWorkItem["System.WorkItemType"];
+            var found = workItemTypes.some(function (f) { return f.toLowerCase() == currentType.toLowerCase(); });
+
+            return {
+                mode: 'basic',
+                matched: found,
+                entries: [{
+                    path: 'description',
+                    matched: found,
+                    clauses: [{ field: 'System.WorkItemType', rule: workItemTypes, actual: currentType, matched: found }],
+                    groups: []
+                }],
+                note: note
+            };
+        }
+
+        /**
+         * Evaluate applywhen conditions (an array, or a single condition) against the work item.
+         * A malformed entry does not match and carries the error instead of throwing.
+         * @param {*} currentWorkItem
+         * @param {*} applywhen
+         */
+        function explainConditions(currentWorkItem, applywhen) {
+            var conditions = Array.isArray(applywhen) ? applywhen : [applywhen];
+            return conditions.map(function (el, index) {
+                var path = 'applywhen[' + index + ']';
+                try {
+                    return _Filters.evaluateCondition(el, currentWorkItem, path);
+                } catch (e) {
+                    // If a single rule is malformed, skip it instead of throwing
+                    log('Skipping malformed filter rule: ' + (e && e.message ? e.message : e));
+                    return { path: path, matched: false, clauses: [], groups: [], error: 'Malformed filter rule: ' + (e && e.message ? e.message : e) };
+                }
+            });
+        }
+
+        /**
+         * Write template settings (the JSON object with "applywhen" and the other options) back into a
+         * description: the JSON found by extractJSON is replaced in place, keeping the text around it;
+         * without one the JSON is added at the end. The JSON is written on one line, as the templates
+         * editor of Azure DevOps keeps descriptions short. Throws when the result would not read back
+         * as the same settings.
+         * @param {*} description
+         * @param {*} settings
+         */
+        function writeSettings(description, settings) {
+
+            description = description || '';
+            var json = JSON.stringify(settings);
+
+            var extracted = extractJSON(description, 'description');
+            var result = extracted
+                ? description.substring(0, extracted[1]) + json + description.substring(extracted[2])
+                : (description.replace(/\s+$/, '') + (description.trim() ? ' ' : '') + json);
+
+            var check = extractJSON(result, 'description');
+            if (!check || JSON.stringify(check[0]) !== json) {
+                throw new Error('The text around the JSON in the description prevents it from being read back. Remove the "{" and "}" characters from that text and try again.');
+            }
+            return result;
+        }
+
+        return {
+            explainConditions: explainConditions,
+            explainFilter: explainFilter,
+            extractJSON: extractJSON,
+            getBasicTypes: getBasicTypes,
+            writeSettings: writeSettings
+        };
+    });
@@ -0,0 +1,867 @@
+define(["TFS/WorkItemTracking/RestClient", "TFS/Core/RestClient", "q", "./filters", "./rules", "./dialog", "./lint", "./library", "./transfer"],
+    function (_WorkItemRestClient, _CoreRestClient, Q, _Filters, _Rules, _Dialog, _Lint, _Library, _Transfer) {
+
+        // The operators of the rule editor, in the order they are offered, with their labels
+        var OPERATORS = [
+            { id: 'eq', label: 'equals' },
+            { id: 'not', label: 'does not equal' },
+            { id: 'in', label: 'is one of' },
+            { id: 'notIn', label: 'is not one of' },
+            { id: 'contains', label: 'contains' },
+            { id: 'regex', label: 'matches regex' },
+            { id: 'gt', label: '>' },
+            { id: 'gte', label: '>=' },
+            { id: 'lt', label: '<' },
+            { id: 'lte', label: '<=' },
+            { id: 'under', label: 'is under' },
+            { id: 'notUnder', label: 'is not under' },
+            { id: 'between', label: 'is between' }
+        ];
+
+        // Operators whose value is a comma-separated list in the editor
+        var LIST_OPERATORS = ['in', 'notIn', 'under', 'notUnder', 'between'];
+        var COMPARISON_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+        var GROUP_KEYS = ['all', 'any', 'none'];
+
+        // The precedence choices of the template sources (see library.js)
+        var PRECEDENCES = [
+            { value: 'team,library,project', label: 'Team templates override library and project templates' },
+            { value: 'library,project,team', label: 'Library and project templates override team templates' }
+        ];
+
+        var ctx = null;
+        var metadata = null;
+
+        function createElement(tagName, text, className) {
+            var element = document.createElement(tagName);
+            if (text != null) {
+                element.textContent = text;
+            }
+            if (className) {
+                element.className = className;
+            }
+            return element;
+        }
+
+        function createButton(text, onClick) {
+            var button = createElement('button', text);
+            button.type = 'button';
+            button.addEventListener('click', onClick);
+            return button;
+        }
+
+        function createSelect(options, value) {
+            var select = createElement('select');
+            options.forEach(function (option) {
+                var element = createElement('option', option.label);
+                element.value = option.value;
+                select.appendChild(element);
+            });
+            select.value = value;
+            return select;
+        }
+
+        function getErrorMessage(err) {
+            if (err == null) return 'Unknown error';
+            return err.message || err.serverError && err.serverError.message || String(err);
+        }
+
+        function isPlainObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        /**
+         * Load the process metadata the editor offers and checks against: the fields of the project,
+         * its work item types and their states. Loaded once per page.
+         */
+        function loadMetadata() {
+            if (metadata == null) {
+                var witClient = _WorkItemRestClient.getClient();
+                metadata = Q.all([witClient.getFields(ctx.project.id), witClient.getWorkItemTypes(ctx.project.id)])
+                    .spread(function (fields, workItemTypes) {
+                        var states = [];
+                        workItemTypes.forEach(function (workItemType) {
+                            (workItemType.states || []).forEach(function (state) {
+                                if (states.indexOf(state.name) === -1) {
+                                    states.push(state.name);
+                                }
+                            });
+                        });
+                        return {
+                            fields: fields.sort(function (a, b) { return a.name.localeCompare(b.name); }),
+                            workItemTypes: workItemTypes.map(function (workItemType) { return workItemType.name; }).sort(),
+                            states: states.sort()
+                        };
+                    });
+            }
+            return metadata;
+        }
+
+        // The text shown in the editor for a rule value
+        function formatValue(value) {
+            if (Array.isArray(value)) {
+                return value.map(formatValue).join(', ');
+            }
+            if (value === null || value === undefined) {
+                return '';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+
+        // The rule value for the text in the editor: numbers become numbers, list operators take comma-separated values
+        function parseValue(text, op) {
+            var toValue = function (part) {
+                part = part.trim();
+                return /^-?\d+(\.\d+)?$/.test(part) ? parseFloat(part) : part;
+            };
+            if (LIST_OPERATORS.indexOf(op) !== -1) {
+                return text.split(',').map(toValue).filter(function (part) { return part !== ''; });
+            }
+            return toValue(text);
+        }
+
+        function createClause(field, op, text, original) {
+            return { field: field, op: op, text: text, original: { op: op, text: text, value: original } };
+        }
+
+        /**
+         * Turn an applywhen entry into the editor model: { clauses: [{ field, op, text, original }], groups }.
+         * Nested all/any/none groups are kept as they are, since the editor only edits field clauses.
+         * A list of values is "is one of", except for tags where the tags must all be present.
+         * @param {*} condition
+         */
+        function toEntry(condition) {
+            var entry = { clauses: [], groups: {} };
+            Object.keys(isPlainObject(condition) ? condition : {}).forEach(function (key) {
+                var rule = condition[key];
+                if (GROUP_KEYS.indexOf(key) !== -1) {
+                    entry.groups[key] = rule;
+                    return;
+                }
+                var isOperatorObject = isPlainObject(rule) && Object.keys(rule).length > 0 && Object.keys(rule).every(function (op) {
+                    return _Filters.operators.indexOf(op) !== -1;
+                });
+                if (isOperatorObject) {
+                    Object.keys(rule).forEach(function (op) {
+                        entry.clauses.push(createClause(key, op, formatValue(rule[op]), rule[op]));
+                    });
+                } else if (Array.isArray(rule) && key.toLowerCase() === 'system.tags') {
+                    entry.clauses.push(createClause(key, 'eq', rule.join('; '), rule));
+                } else {
+                    entry.clauses.push(createClause(key, Array.isArray(rule) ? 'in' : 'eq', formatValue(rule), rule));
+                }
+            });
+            return entry;
+        }
+
+        // The rule value of a clause, keeping the value as it was written while the clause is not changed
+        function getClauseValue(clause) {
+            if (clause.original && clause.text === clause.original.text && clause.op === clause.original.op) {
+                return clause.original.value;
+            }
+            return parseValue(clause.text, clause.op);
+        }
+
+        /**
+         * Turn an editor entry back into an applywhen condition. The clauses of one field are combined
+         * into one operator object, e.g. { "gte": 2, "lt": 5 }; a lone "equals" is written as the plain value.
+         * @param {*} entry
+         */
+        function fromEntry(entry) {
+            var condition = {};
+            var byField = {};
+            entry.clauses.forEach(function (clause) {
+                (byField[clause.field] = byField[clause.field] || []).push(clause);
+            });
+            Object.keys(byField).forEach(function (field) {
+                var clauses = byField[field];
+                if (clauses.length == 1 && clauses[0].op === 'eq') {
+                    condition[field] = getClauseValue(clauses[0]);
+                    return;
+                }
+                // A list written as a plain value stays a plain value
+                if (clauses.length == 1 && clauses[0].op === 'in' && getClauseValue(clauses[0]) === (clauses[0].original && clauses[0].original.value) && Array.isArray(clauses[0].original.value)) {
+                    condition[field] = clauses[0].original.value;
+                    return;
+                }
+                var rule = {};
+                clauses.forEach(function (clause) {
+                    rule[clause.op] = getClauseValue(clause);
+                });
+                condition[field] = rule;
+            });
+            GROUP_KEYS.forEach(function (key) {
+                if (entry.groups.hasOwnProperty(key)) {
+                    condition[key] = entry.groups[key];
+                }
+            });
+            return condition;
+        }
+
+        /**
+         * Read the filter of a template description into the editor model. A basic filter
+         * ("[Product Backlog Item, Bug]") becomes one entry on System.WorkItemType.
+         * Returns { mode: 'json' | 'basic' | 'none', settings, entries }.
+         * @param {*} template
+         */
+        function toModel(template) {
+            var description = template.description || '';
+            var extracted = _Rules.extractJSON(description, template.name);
+            var settings = extracted && isPlainObject(extracted[0]) ? extracted[0] : null;
+
+            if (settings && settings.applywhen && typeof settings.applywhen === 'object') {
+                var applywhen = Array.isArray(settings.applywhen) ? settings.applywhen : [settings.applywhen];
+                return { mode: 'json', settings: settings, entries: applywhen.map(toEntry) };
+            }
+
+            var basicTypes = _Rules.getBasicTypes(description);
+            var entries = basicTypes ? [toEntry({ 'System.WorkItemType': { 'in': basicTypes } })] : [];
+            return { mode: basicTypes ? 'basic' : 'none', settings: settings || {}, entries: entries };
+        }
+
+        function getApplywhen(model) {
+            return model.entries.map(fromEntry);
+        }
+
+        function isComparable(value) {
+            return typeof value === 'number' || !isNaN(parseFloat(value)) || !isNaN(Date.parse(value));
+        }
+
+        /**
+         * Check the rules in the editor against the process metadata. Returns [{ level: 'error' | 'warning', message }];
+         * rules with errors cannot be saved.
+         * @param {*} model
+         * @param {*} meta // See loadMetadata
+         */
+        function validate(model, meta) {
+            var problems = [];
+            var add = function (level, message) {
+                var known = problems.some(function (problem) { return problem.message === message; });
+                if (!known) {
+                    problems.push({ level: level, message: message });
+                }
+            };
+            var error = function (message) { add('error', message); };
+            var warning = function (message) { add('warning', message); };
+
+            var fieldNames = meta.fields.map(function (field) { return field.referenceName.toLowerCase(); });
+            var lower = function (values) { return values.map(function (value) { return value.toLowerCase(); }); };
+            var knownValues = {
+                'system.workitemtype': { name: 'work item type', values: lower(meta.workItemTypes) },
+                'system.state': { name: 'state', values: lower(meta.states) }
+            };
+
+            if (model.entries.length == 0) {
+                warning('There are no rules: the template never applies.');
+            }
+
+            model.entries.forEach(function (entry, index) {
+                var label = 'Rule ' + (index + 1) + ': ';
+                if (entry.clauses.length == 0 && Object.keys(entry.groups).length == 0) {
+                    warning(label + 'no conditions, so it matches every work item.');
+                }
+
+                var seen = {};
+                entry.clauses.forEach(function (clause) {
+                    if (!clause.field) {
+                        error(label + 'choose a field.');
+                        return;
+                    }
+                    var fieldLabel = label + clause.field + ' ';
+                    if (fieldNames.indexOf(clause.field.toLowerCase()) === -1) {
+                        error(fieldLabel + 'is not a field of this project.');
+                    }
+                    var key = clause.field.toLowerCase() + ' ' + clause.op;
+                    if (seen[key]) {
+                        error(fieldLabel + 'uses "' + clause.op + '" twice. Combine the values into one condition.');
+                    }
+                    seen[key] = true;
+
+                    if (clause.text.trim() === '') {
+                        error(fieldLabel + 'needs a value.');
+                        return;
+                    }
+                    var value = getClauseValue(clause);
+                    var values = Array.isArray(value) ? value : [value];
+
+                    if (clause.op === 'regex') {
+                        try {
+                            new RegExp(value, 'i');
+                        } catch (e) {
+                            error(fieldLabel + 'has an invalid regular expression: ' + getErrorMessage(e));
+                        }
+                    }
+                    if (clause.op === 'between' && values.length != 2) {
+                        error(fieldLabel + '"is between" needs two values separated by a comma.');
+                    }
+                    if (COMPARISON_OPERATORS.indexOf(clause.op) !== -1) {
+                        values.forEach(function (v) {
+                            if (!isComparable(v)) {
+                                error(fieldLabel + 'compares with "' + v + '", which is neither a number nor a date.');
+                            }
+                        });
+                    }
+
+                    var known = knownValues[clause.field.toLowerCase()];
+                    if (known && ['eq', 'not', 'in', 'notIn'].indexOf(clause.op) !== -1) {
+                        values.forEach(function (v) {
+                            if (String(v).indexOf('*') === -1 && known.values.indexOf(String(v).toLowerCase()) === -1) {
+                                warning(fieldLabel + '"' + v + '" is not a ' + known.name + ' of this project.');
+                            }
+                        });
+                    }
+                });
+            });
+
+            return problems;
+        }
+
+        /**
+         * The Child Task Templates hub under Project Settings: lists the templates of a team with their
+         * rules and edits the rules of one template at a time. The rules are saved back into the
+         * template description as JSON, where the toolbar actions read them.
+         * @param {*} container
+         */
+        function render(container) {
+
+            ctx = VSS.getWebContext();
+
+            var state = { teamId: ctx.team ? ctx.team.id : null, teamName: ctx.team ? ctx.team.name : '', templates: [], selected: null };
+
+            var toolbar = createElement('div', null, 'toolbar');
+            var sourcesContainer = createElement('div', null, 'editor');
+            var listContainer = createElement('div');
+            var panelContainer = createElement('div');
+            var editorContainer = createElement('div', null, 'editor');
+            container.appendChild(createElement('h1', 'Child Task Templates'));
+            container.appendChild(createElement('p', 'The work item templates of a team, with the rules that decide when "Create Child Tasks" applies them. Templates themselves are created in Boards > Team configuration > Templates.', 'muted'));
+            container.appendChild(toolbar);
+            container.appendChild(sourcesContainer);
+            container.appendChild(panelContainer);
+            container.appendChild(listContainer);
+            container.appendChild(editorContainer);
+
+            var showError = function (target, message) {
+                target.appendChild(createElement('p', message, 'fail'));
+            };
+
+            var loadTemplates = function () {
+                panelContainer.textContent = '';
+                listContainer.textContent = '';
+                editorContainer.textContent = '';
+                listContainer.appendChild(createElement('p', 'Loading templates...', 'muted'));
+
+                return Q(_Library.getTemplates(ctx.project.id, state.teamId))
+                    .then(function (references) {
+                        return Q.all(references.map(function (reference) {
+                            return _Library.getTemplate(ctx.project.id, reference);
+                        }));
+                    })
+                    .then(function (templates) {
+                        state.templates = templates.sort(function (a, b) { return a.name.localeCompare(b.name); });
+                        renderList();
+                    }, function (err) {
+                        listContainer.textContent = '';
+                        showError(listContainer, 'Failed to load the templates: ' + getErrorMessage(err));
+                    });
+            };
+
+            // Check all templates of the team against the process metadata (see lint.js)
+            var validateTemplates = function () {
+                panelContainer.textContent = '';
+                panelContainer.appendChild(createElement('p', 'Validating templates...', 'muted'));
+
+                return _Lint.validateTeamTemplates(ctx.project.id, state.teamId)
+                    .then(function (templates) {
+                        panelContainer.textContent = '';
+                        panelContainer.appendChild(createElement('h2', 'Validation'));
+                        _Dialog.render(panelContainer, { view: 'validate', templates: templates });
+                    }, function (err) {
+                        panelContainer.textContent = '';
+                        showError(panelContainer, 'Failed to validate the templates: ' + getErrorMessage(err));
+                    });
+            };
+
+            // The team's own templates: the ones that are exported, and replaced by an import
+            var getOwnTemplates = function () {
+                return state.templates.filter(function (template) { return template.source.type === 'team'; });
+            };
+
+            // Download the team's templates as a JSON or YAML file
+            var exportTemplates = function (fileFormat) {
+                var exported = _Transfer.exportTemplates(getOwnTemplates(), { project: ctx.project.name, team: state.teamName });
+                var blob = new Blob([_Transfer.serialize(exported, fileFormat)], { type: fileFormat === 'yaml' ? 'text/yaml' : 'application/json' });
+                var link = createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = state.teamName.replace(/[^\w.-]+/g, '-') + '-child-task-templates.' + fileFormat;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                URL.revokeObjectURL(link.href);
+            };
+
+            // Read an export file and preview what importing it would change
+            var previewImport = function (file) {
+                panelContainer.textContent = '';
+                var reader = new FileReader();
+                reader.onload = function () {
+                    var entries;
+                    try {
+                        entries = _Transfer.diffTemplates(_Transfer.parse(String(reader.result)), getOwnTemplates());
+                    } catch (e) {
+                        showError(panelContainer, 'Cannot import "' + file.name + '": ' + getErrorMessage(e));
+                        return;
+                    }
+                    panelContainer.appendChild(createElement('h2', 'Import'));
+                    var view = _Dialog.render(panelContainer, { view: 'import', fileName: file.name, teamName: state.teamName, entries: entries });
+
+                    var status = createElement('span', null, 'muted');
+                    var importButton = createButton('Import checked templates', function () {
+                        var selected = view.getResult().map(function (index) { return entries[index]; });
+                        if (selected.length == 0) {
+                            status.textContent = 'Nothing to import.';
+                            return;
+                        }
+                        importButton.disabled = true;
+                        status.textContent = 'Importing...';
+                        status.className = 'muted';
+                        _Transfer.importTemplates(ctx.project.id, state.teamId, selected)
+                            .then(function (results) {
+                                var failed = results.filter(function (result) { return result.error; });
+                                return loadTemplates().then(function () {
+                                    status.textContent = '';
+                                    panelContainer.appendChild(createElement('p', (results.length - failed.length) + ' template(s) imported from "' + file.name + '".', failed.length == 0 ? 'pass' : null));
+                                    failed.forEach(function (result) {
+                                        showError(panelContainer, 'Failed to import ' + result.name + ' (' + result.workItemType + '): ' + result.error);
+                                    });
+                                });
+                            })
+                            .then(null, function (err) {
+                                importButton.disabled = false;
+                                status.textContent = '';
+                                showError(panelContainer, 'Failed to import "' + file.name + '": ' + getErrorMessage(err));
+                            });
+                    });
+                    var actions = createElement('p');
+                    actions.appendChild(importButton);
+                    actions.appendChild(createButton('Cancel', function () { panelContainer.textContent = ''; }));
+                    actions.appendChild(status);
+                    panelContainer.appendChild(actions);
+                };
+                reader.onerror = function () {
+                    showError(panelContainer, 'Failed to read "' + file.name + '".');
+                };
+                reader.readAsText(file);
+            };
+
+            var renderList = function () {
+                listContainer.textContent = '';
+                if (state.templates.length == 0) {
+                    listContainer.appendChild(createElement('p', 'This team has no work item templates, and gets none from library teams or the project.', 'muted'));
+                    return;
+                }
+
+                var table = createElement('table');
+                var header = createElement('tr');
+                ['Template', 'Type', 'Source', 'Rules', 'Other settings'].forEach(function (text) {
+                    header.appendChild(createElement('th', text));
+                });
+                table.appendChild(header);
+
+                state.templates.forEach(function (template) {
+                    var model = toModel(template);
+                    var row = createElement('tr', null, template === state.selected ? 'selected' : 'clickable');
+                    row.appendChild(createElement('td', template.name));
+                    row.appendChild(createElement('td', template.workItemTypeName));
+                    var overrides = template.source.overrides.length > 0 ? ' (overrides ' + template.source.overrides.join(', ') + ')' : '';
+                    row.appendChild(createElement('td', template.source.name + overrides));
+
+                    var summaries = {
+                        json: model.entries.length + ' rule(s)',
+                        basic: 'Basic filter: ' + (_Rules.getBasicTypes(template.description) || []).join(', '),
+                        none: (template.description || '').indexOf('{') !== -1 ? 'Invalid JSON: never applies' : 'No rules: never applies'
+                    };
+                    row.appendChild(createElement('td', summaries[model.mode], model.mode === 'none' ? 'fail' : null));
+
+                    var otherSettings = Object.keys(model.settings).filter(function (key) { return key !== 'applywhen'; });
+                    row.appendChild(createElement('td', otherSettings.join(', ') || '-', 'muted'));
+
+                    row.addEventListener('click', function () {
+                        state.selected = template;
+                        renderList();
+                        renderEditor(template);
+                    });
+                    table.appendChild(row);
+                });
+                listContainer.appendChild(table);
+            };
+
+            // Share a team template with every team of the project, or remove a project template
+            var createSourceButton = function (template, status) {
+                var isProject = template.source.type === 'project';
+                var button = createButton(isProject ? 'Remove from project templates' : 'Share with all teams', function () {
+                    button.disabled = true;
+                    status.textContent = isProject ? 'Removing...' : 'Sharing...';
+                    status.className = 'muted';
+                    var request = isProject ? _Library.removeProjectTemplate(ctx.project.id, template.id) : _Library.shareTemplate(ctx.project.id, template);
+                    Q(request)
+                        .then(function () {
+                            state.selected = null;
+                            return loadTemplates();
+                        }, function (err) {
+                            button.disabled = false;
+                            status.textContent = 'Failed: ' + getErrorMessage(err);
+                            status.className = 'fail';
+                        });
+                });
+                button.title = isProject
+                    ? 'Teams that have no template of this name and type of their own stop getting it.'
+                    : 'Copies the template to the project templates, which every team gets. This team keeps its own copy, which overrides the shared one.';
+                return button;
+            };
+
+            // The library teams whose templates every team gets, and which source wins
+            var renderSources = function (teams) {
+                sourcesContainer.textContent = '';
+                Q(_Library.loadSources(ctx.project.id))
+                    .then(function (sources) {
+                        sourcesContainer.appendChild(createElement('h2', 'Template sources'));
+                        sourcesContainer.appendChild(createElement('p', 'Every team gets its own templates, the templates of the library teams and the project templates. A template with the same name and work item type from several sources is taken from one source only; shared templates with "locked": true in their description cannot be overridden by a team.', 'muted'));
+
+                        var checkboxes = teams.map(function (team) {
+                            var checkbox = createElement('input');
+                            checkbox.type = 'checkbox';
+                            checkbox.value = team.id;
+                            checkbox.checked = sources.libraryTeams.some(function (library) { return library.id === team.id; });
+                            var label = createElement('label');
+                            label.appendChild(checkbox);
+                            label.appendChild(document.createTextNode(' ' + team.name + ' '));
+                            return { team: team, checkbox: checkbox, label: label };
+                        });
+                        var libraries = createElement('p');
+                        libraries.appendChild(createElement('span', 'Library teams: '));
+                        checkboxes.forEach(function (item) { libraries.appendChild(item.label); });
+                        sourcesContainer.appendChild(libraries);
+
+                        var precedenceSelect = createSelect(PRECEDENCES, sources.precedence.join(','));
+                        var status = createElement('span', null, 'muted');
+                        var saveButton = createButton('Save sources', function () {
+                            sources.libraryTeams = checkboxes
+                                .filter(function (item) { return item.checkbox.checked; })
+                                .map(function (item) { return { id: item.team.id, name: item.team.name }; });
+                            sources.precedence = precedenceSelect.value.split(',');
+                            saveButton.disabled = true;
+                            status.textContent = 'Saving...';
+                            status.className = 'muted';
+                            Q(_Library.saveSources(ctx.project.id, sources))
+                                .then(function (saved) {
+                                    sources.__etag = saved.__etag;
+                                    status.textContent = 'Saved.';
+                                    status.className = 'pass';
+                                    return loadTemplates();
+                                }, function (err) {
+                                    status.textContent = 'Failed to save: ' + getErrorMessage(err);
+                                    status.className = 'fail';
+                                })
+                                .then(function () {
+                                    saveButton.disabled = false;
+                                });
+                        });
+                        var precedence = createElement('p');
+                        precedence.appendChild(createElement('span', 'Precedence: '));
+                        precedence.appendChild(precedenceSelect);
+                        precedence.appendChild(saveButton);
+                        precedence.appendChild(status);
+                        sourcesContainer.appendChild(precedence);
+                    }, function (err) {
+                        showError(sourcesContainer, 'Failed to load the template sources: ' + getErrorMessage(err));
+                    });
+            };
+
+            var renderEditor = function (template) {
+                editorContainer.textContent = '';
+                editorContainer.appendChild(createElement('p', 'Loading fields...', 'muted'));
+
+                loadMetadata()
+                    .then(function (meta) {
+                        editorContainer.textContent = '';
+                        renderRules(template, toModel(template), meta);
+                    }, function (err) {
+                        editorContainer.textContent = '';
+                        showError(editorContainer, 'Failed to load the fields of the project: ' + getErrorMessage(err));
+                    });
+            };
+
+            var renderRules = function (template, model, meta) {
+
+                editorContainer.appendChild(createElement('h2', template.name + ' (' + template.workItemTypeName + ')'));
+                if (template.source.type !== 'team') {
+                    editorContainer.appendChild(createElement('p', 'This template comes from ' + template.source.name + '. Saving changes it for every team that uses it.', 'muted'));
+                }
+                editorContainer.appendChild(createElement('p', 'The template applies to a parent work item when any of the rules below matches; within a rule every condition must match.', 'muted'));
+                if (model.mode === 'basic') {
+                    editorContainer.appendChild(createElement('p', 'This template uses the basic filter (parent types in square brackets). Saving writes the rules as JSON, which takes precedence over the brackets.', 'muted'));
+                }
+
+                var rulesContainer = createElement('div');
+                var problemsContainer = createElement('div');
+                var saveButton = createButton('Save', function () { save(); });
+                var status = createElement('span', null, 'muted');
+
+                var fieldOptions = [{ value: '', label: '(choose a field)' }].concat(meta.fields.map(function (field) {
+                    return { value: field.referenceName, label: field.name + ' (' + field.referenceName + ')' };
+                }));
+                var operatorOptions = OPERATORS.map(function (op) { return { value: op.id, label: op.label }; });
+
+                // Suggestions for the value box of the fields whose values the process defines
+                var datalists = {
+                    'system.workitemtype': meta.workItemTypes,
+                    'system.state': meta.states
+                };
+                Object.keys(datalists).forEach(function (field) {
+                    var list = createElement('datalist');
+                    list.id = 'values-' + field.replace(/\./g, '-');
+                    datalists[field].forEach(function (value) {
+                        var option = createElement('option');
+                        option.value = value;
+                        list.appendChild(option);
+                    });
+                    editorContainer.appendChild(list);
+                });
+
+                var changed = function () {
+                    status.textContent = '';
+                    renderProblems();
+                };
+
+                var renderProblems = function () {
+                    problemsContainer.textContent = '';
+                    var problems = validate(model, meta);
+                    problems.forEach(function (problem) {
+                        problemsContainer.appendChild(createElement('p', (problem.level === 'error' ? 'Error: ' : 'Warning: ') + problem.message, problem.level === 'error' ? 'fail' : 'muted'));
+                    });
+                    saveButton.disabled = problems.some(function (problem) { return problem.level === 'error'; });
+                };
+
+                var renderClause = function (entry, clause) {
+                    var row = createElement('div', null, 'clause');
+
+                    var fieldSelect = createSelect(fieldOptions, clause.field);
+                    if (clause.field && fieldSelect.value !== clause.field) {
+                        // A field the project does not have: keep it selectable so the rule is not changed silently
+                        var unknown = createElement('option', clause.field + ' (unknown field)');
+                        unknown.value = clause.field;
+                        fieldSelect.appendChild(unknown);
+                        fieldSelect.value = clause.field;
+                    }
+                    var opSelect = createSelect(operatorOptions, clause.op);
+                    var valueInput = createElement('input');
+                    valueInput.type = 'text';
+                    valueInput.value = clause.text;
+                    valueInput.placeholder = 'Value (lists: separate with commas, wildcards: *)';
+
+                    var updateSuggestions = function () {
+                        var listId = 'values-' + (clause.field || '').toLowerCase().replace(/\./g, '-');
+                        if (document.getElementById(listId)) {
+                            valueInput.setAttribute('list', listId);
+                        } else {
+                            valueInput.removeAttribute('list');
+                        }
+                    };
+                    updateSuggestions();
+
+                    fieldSelect.addEventListener('change', function () {
+                        clause.field = fieldSelect.value;
+                        updateSuggestions();
+                        changed();
+                    });
+                    opSelect.addEventListener('change', function () {
+                        clause.op = opSelect.value;
+                        changed();
+                    });
+                    valueInput.addEventListener('input', function () {
+                        clause.text = valueInput.value;
+                        changed();
+                    });
+
+                    row.appendChild(fieldSelect);
+                    row.appendChild(opSelect);
+                    row.appendChild(valueInput);
+                    row.appendChild(createButton('Remove', function () {
+                        entry.clauses.splice(entry.clauses.indexOf(clause), 1);
+                        renderEntries();
+                    }));
+                    return row;
+                };
+
+                var renderEntries = function () {
+                    rulesContainer.textContent = '';
+                    model.entries.forEach(function (entry, index) {
+                        var box = createElement('fieldset', null, 'rule');
+                        box.appendChild(createElement('legend', 'Rule ' + (index + 1) + (index > 0 ? ' (or)' : '')));
+
+                        entry.clauses.forEach(function (clause) {
+                            box.appendChild(renderClause(entry, clause));
+                        });
+
+                        var groupKeys = Object.keys(entry.groups);
+                        if (groupKeys.length > 0) {
+                            var groups = {};
+                            groupKeys.forEach(function (key) { groups[key] = entry.groups[key]; });
+                            box.appendChild(createElement('p', 'Nested groups, kept as they are (edit them in the template description):', 'muted'));
+                            box.appendChild(createElement('pre', JSON.stringify(groups, null, 2)));
+                        }
+
+                        box.appendChild(createButton('Add condition', function () {
+                            entry.clauses.push({ field: '', op: 'eq', text: '' });
+                            renderEntries();
+                        }));
+                        box.appendChild(createButton('Remove rule', function () {
+                            model.entries.splice(index, 1);
+                            renderEntries();
+                        }));
+                        rulesContainer.appendChild(box);
+                    });
+                    rulesContainer.appendChild(createButton('Add rule', function () {
+                        model.entries.push({ clauses: [{ field: 'System.WorkItemType', op: 'eq', text: '' }], groups: {} });
+                        renderEntries();
+                    }));
+                    changed();
+                };
+
+                var otherKeys = Object.keys(model.settings).filter(function (key) { return key !== 'applywhen'; });
+
+                // Test the rules being edited against a work item, without saving them
+                var testContainer = createElement('div', null, 'test');
+                var testInput = createElement('input');
+                testInput.type = 'number';
+                testInput.placeholder = 'Work item ID';
+                var testResult = createElement('div');
+                testContainer.appendChild(createElement('h3', 'Test against a work item'));
+                testContainer.appendChild(testInput);
+                testContainer.appendChild(createButton('Test', function () {
+                    testResult.textContent = '';
+                    var workItemId = parseInt(testInput.value, 10);
+                    if (isNaN(workItemId)) {
+                        showError(testResult, 'Enter the ID of a work item.');
+                        return;
+                    }
+                    Q(_WorkItemRestClient.getClient().getWorkItem(workItemId))
+                        .then(function (workItem) {
+                            var currentWorkItem = workItem.fields;
+                            currentWorkItem['System.Id'] = workItemId;
+                            var entries = _Rules.explainConditions(currentWorkItem, getApplywhen(model));
+                            var matched = entries.some(function (entry) { return entry.matched; });
+                            testResult.appendChild(createElement('p', currentWorkItem['System.WorkItemType'] + ' ' + workItemId + ' "' + currentWorkItem['System.Title'] + '": ' + (matched ? 'Match' : 'No match'), matched ? 'pass' : 'fail'));
+                            if (entries.length > 0) {
+                                _Dialog.renderConditions(testResult, entries);
+                            }
+                        }, function (err) {
+                            showError(testResult, 'Failed to load work item ' + workItemId + ': ' + getErrorMessage(err));
+                        });
+                }));
+                testContainer.appendChild(testResult);
+
+                var save = function () {
+                    var settings = {};
+                    Object.keys(model.settings).forEach(function (key) { settings[key] = model.settings[key]; });
+                    settings.applywhen = getApplywhen(model);
+
+                    var description;
+                    try {
+                        description = _Rules.writeSettings(template.description, settings);
+                    } catch (e) {
+                        status.textContent = getErrorMessage(e);
+                        status.className = 'fail';
+                        return;
+                    }
+
+                    var content = {};
+                    Object.keys(template).forEach(function (key) { content[key] = template[key]; });
+                    content.description = description;
+
+                    saveButton.disabled = true;
+                    status.textContent = 'Saving...';
+                    status.className = 'muted';
+                    Q(_Library.saveTemplate(ctx.project.id, content))
+                        .then(function (saved) {
+                            template.description = saved.description;
+                            // Project templates are extension data documents, saved against their version
+                            if (saved.__etag) {
+                                template.__etag = saved.__etag;
+                            }
+                            status.textContent = 'Saved.';
+                            status.className = 'pass';
+                            renderList();
+                        }, function (err) {
+                            status.textContent = 'Failed to save: ' + getErrorMessage(err);
+                            status.className = 'fail';
+                        })
+                        .then(function () {
+                            renderProblems();
+                        });
+                };
+
+                editorContainer.appendChild(rulesContainer);
+                if (otherKeys.length > 0) {
+                    var others = {};
+                    otherKeys.forEach(function (key) { others[key] = model.settings[key]; });
+                    editorContainer.appendChild(createElement('h3', 'Other settings (kept as they are)'));
+                    editorContainer.appendChild(createElement('pre', JSON.stringify(others, null, 2)));
+                }
+                editorContainer.appendChild(problemsContainer);
+                var actions = createElement('p');
+                actions.appendChild(saveButton);
+                actions.appendChild(createSourceButton(template, status));
+                actions.appendChild(status);
+                editorContainer.appendChild(actions);
+                editorContainer.appendChild(testContainer);
+
+                renderEntries();
+            };
+
+            // Team picker: the templates belong to a team
+            Q(_CoreRestClient.getClient().getTeams(ctx.project.id))
+                .then(function (teams) {
+                    if (!state.teamId && teams.length > 0) {
+                        state.teamId = teams[0].id;
+                        state.teamName = teams[0].name;
+                    }
+                    var teamSelect = createSelect(teams.map(function (team) { return { value: team.id, label: team.name }; }), state.teamId);
+                    teamSelect.addEventListener('change', function () {
+                        state.teamId = teamSelect.value;
+                        state.teamName = teamSelect.options[teamSelect.selectedIndex].text;
+                        state.selected = null;
+                        loadTemplates();
+                    });
+                    toolbar.appendChild(createElement('label', 'Team: '));
+                    toolbar.appendChild(teamSelect);
+                    toolbar.appendChild(createButton('Validate templates', function () { validateTemplates(); }));
+                    toolbar.appendChild(createButton('Export JSON', function () { exportTemplates('json'); }));
+                    toolbar.appendChild(createButton('Export YAML', function () { exportTemplates('yaml'); }));
+
+                    var fileInput = createElement('input');
+                    fileInput.type = 'file';
+                    fileInput.accept = '.json,.yaml,.yml';
+                    fileInput.style.display = 'none';
+                    fileInput.addEventListener('change', function () {
+                        if (fileInput.files.length > 0) {
+                            previewImport(fileInput.files[0]);
+                        }
+                        fileInput.value = '';
+                    });
+                    toolbar.appendChild(fileInput);
+                    toolbar.appendChild(createButton('Import...', function () { fileInput.click(); }));
+                    renderSources(teams);
+                    return loadTemplates();
+                }, function (err) {
+                    // Listing the teams needs the vso.project scope, which older installations have not approved
+                    showError(toolbar, 'Failed to load the teams: ' + getErrorMessage(err) +
+                        '. If the extension was just updated, an organization administrator must approve its new permissions (Organization Settings → Extensions).');
+                });
+        }
+
+        return {
+            render: render
+        };
+    });
@@ -0,0 +1,177 @@
+define(["./filters", "./expressions"],
+    function (_Filters, _Expressions) {
+
+        // A token is the whole field value, e.g. "@me", "@today+5" or "@parent.AssignedTo". Names are case-insensitive.
+        var TOKEN_PATTERN = /^\s*@([a-z]+|parent\.[\w.]+)\s*(?:([+-])\s*(\d+))?\s*$/i;
+
+        // TimeFrame is an enum (0 past, 1 current, 2 future) that older clients serialize as a string
+        function isCurrent(iteration) {
+            var timeFrame = iteration.attributes && iteration.attributes.timeFrame;
+            return timeFrame === 1 || String(timeFrame).toLowerCase() === 'current';
+        }
+
+        function samePath(a, b) {
+            return _Filters.isUnderPath(a, b) && _Filters.isUnderPath(b, a);
+        }
+
+        // The team's iterations that have dates, in sprint order
+        function getScheduledIterations(teamSettings) {
+            return ((teamSettings && teamSettings.iterations) || [])
+                .filter(function (iteration) { return iteration.attributes && _Expressions.toDate(iteration.attributes.startDate); })
+                .sort(function (a, b) { return _Expressions.toDate(a.attributes.startDate) - _Expressions.toDate(b.attributes.startDate); });
+        }
+
+        function getCurrentIteration(teamSettings) {
+            var iterations = (teamSettings && teamSettings.iterations) || [];
+            for (var i = 0; i < iterations.length; i++) {
+                if (isCurrent(iterations[i])) return iterations[i];
+            }
+            return null;
+        }
+
+        // The iteration a child is placed in, or the team's current iteration when the path is not one of the team's sprints
+        function getAnchorIteration(context) {
+            var iterations = (context.teamSettings && context.teamSettings.iterations) || [];
+            for (var i = 0; i < iterations.length; i++) {
+                if (context.iterationPath && samePath(iterations[i].path, context.iterationPath)) return iterations[i];
+            }
+            return getCurrentIteration(context.teamSettings);
+        }
+
+        function getIterationDate(iteration, attribute) {
+            return iteration && iteration.attributes ? _Expressions.toDate(iteration.attributes[attribute]) : null;
+        }
+
+        /**
+         * Find a parent field by reference name, or by the last part of it ("AssignedTo" for System.AssignedTo).
+         * System fields win when several fields share the short name.
+         * @param {*} currentWorkItem
+         * @param {*} name
+         */
+        function getParentField(currentWorkItem, name) {
+            var value = _Filters.getFieldValue(currentWorkItem, name);
+            if (value !== undefined || name.indexOf('.') !== -1) return value;
+
+            var suffix = '.' + name.toLowerCase();
+            var keys = Object.keys(currentWorkItem || {})
+                .filter(function (key) { return key.toLowerCase().slice(-suffix.length) === suffix; })
+                .sort(function (a, b) { return (b.indexOf('System.') === 0) - (a.indexOf('System.') === 0); });
+            return keys.length > 0 ? currentWorkItem[keys[0]] : undefined;
+        }
+
+        /**
+         * The tokens usable as a template field value. Each resolves against the context
+         * { currentWorkItem, teamSettings, user, iterationPath } and returns null when it cannot.
+         * Date tokens accept a day offset, e.g. "@today+5" or "@iterationEnd-1".
+         */
+        var tokens = {
+            me: {
+                resolve: function (context) {
+                    return context.user ? context.user.uniqueName : null;
+                }
+            },
+            currentiteration: {
+                resolve: function (context) {
+                    var teamSettings = context.teamSettings;
+                    if (teamSettings && teamSettings.defaultIteration && teamSettings.defaultIteration.path) {
+                        return teamSettings.backlogIteration.name + teamSettings.defaultIteration.path;
+                    }
+                    var current = getCurrentIteration(teamSettings);
+                    return current ? current.path : null;
+                }
+            },
+            nextiteration: {
+                resolve: function (context) {
+                    var iterations = getScheduledIterations(context.teamSettings);
+                    var current = getCurrentIteration(context.teamSettings);
+                    var index = current ? iterations.indexOf(current) : -1;
+                    if (index === -1) {
+                        // Between sprints: the first one that has not started yet
+                        var now = new Date();
+                        var upcoming = iterations.filter(function (iteration) { return _Expressions.toDate(iteration.attributes.startDate) > now; })[0];
+                        return upcoming ? upcoming.path : null;
+                    }
+                    return index + 1 < iterations.length ? iterations[index + 1].path : null;
+                }
+            },
+            teamareapath: {
+                resolve: function (context) {
+                    var values = context.teamSettings && context.teamSettings.teamFieldValues;
+                    if (!values || (values.field && values.field.referenceName !== 'System.AreaPath')) {
+                        return null;
+                    }
+                    return values.defaultValue || null;
+                }
+            },
+            today: {
+                date: true,
+                resolve: function () {
+                    return _Expressions.startOfToday();
+                }
+            },
+            iterationstart: {
+                date: true,
+                resolve: function (context) {
+                    return getIterationDate(getAnchorIteration(context), 'startDate');
+                }
+            },
+            iterationend: {
+                date: true,
+                resolve: function (context) {
+                    return getIterationDate(getAnchorIteration(context), 'finishDate');
+                }
+            }
+        };
+
+        function parse(value) {
+            if (typeof value !== 'string') return null;
+            var match = value.match(TOKEN_PATTERN);
+            if (!match) return null;
+
+            var name = match[1].toLowerCase();
+            var offset = match[2] ? parseInt(match[3], 10) * (match[2] === '-' ? -1 : 1) : null;
+            if (name.indexOf('parent.') === 0) {
+                return offset === null ? { field: match[1].substring('parent.'.length) } : null;
+            }
+            if (!tokens.hasOwnProperty(name) || (offset !== null && !tokens[name].date)) {
+                return null;
+            }
+            return { name: name, offset: offset };
+        }
+
+        /**
+         * Whether a template field value is a token (and so is resolved by resolve instead of copied as is).
+         * @param {*} value
+         */
+        function isToken(value) {
+            return parse(value) !== null;
+        }
+
+        /**
+         * Resolve a token to the value for the child's field: text, or an ISO date for the date tokens.
+         * Returns null when the token has no value for this parent/team (e.g. no next sprint).
+         * @param {*} value // The template field value, e.g. "@iterationEnd-1"
+         * @param {*} context // { currentWorkItem, teamSettings, user, iterationPath }
+         */
+        function resolve(value, context) {
+            var token = parse(value);
+            if (token === null) return value;
+
+            if (token.field) {
+                var fieldValue = getParentField(context.currentWorkItem, token.field);
+                return (fieldValue == null || fieldValue === '') ? null : _Expressions.toText(_Expressions.fromField(fieldValue));
+            }
+
+            var result = tokens[token.name].resolve(context);
+            if (result != null && tokens[token.name].date) {
+                result = new Date(result.getTime() + (token.offset || 0) * _Expressions.DAY).toISOString();
+            }
+            return result == null ? null : result;
+        }
+
+        return {
+            isToken: isToken,
+            resolve: resolve,
+            tokens: Object.keys(tokens)
+        };
+    });
@@ -0,0 +1,267 @@
+define(["TFS/WorkItemTracking/RestClient", "q", "./rules", "./yaml"],
+    function (_WorkItemRestClient, Q, _Rules, _Yaml) {
+
+        // The file format: a version 1 file is read by every later version
+        var FORMAT = 'create-child-tasks/templates';
+        var VERSION = 1;
+
+        function getErrorMessage(err) {
+            if (!err) return 'Unknown error';
+            return err.message || err.serverError && err.serverError.message || String(err);
+        }
+
+        function isPlainObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        function getKey(name, workItemType) {
+            return String(name).toLowerCase() + '\n' + String(workItemType).toLowerCase();
+        }
+
+        // JSON with sorted object keys, to compare values whatever the order of their keys
+        function canonical(value) {
+            if (Array.isArray(value)) {
+                return '[' + value.map(canonical).join(',') + ']';
+            }
+            if (isPlainObject(value)) {
+                return '{' + Object.keys(value).sort().map(function (key) {
+                    return JSON.stringify(key) + ':' + canonical(value[key]);
+                }).join(',') + '}';
+            }
+            return JSON.stringify(value === undefined ? null : value);
+        }
+
+        /**
+         * Split a template description into the settings JSON (filter rules, order, nesting...) and
+         * the text around it, so the file shows the settings as a structure rather than one line.
+         * @param {*} description
+         * @param {*} contextLabel // The template name, for the log
+         */
+        function splitDescription(description, contextLabel) {
+            description = description || '';
+            var extracted = _Rules.extractJSON(description, contextLabel);
+            if (!extracted || !isPlainObject(extracted[0])) {
+                return { text: description.trim(), settings: null };
+            }
+            var before = description.substring(0, extracted[1]).trim();
+            var after = description.substring(extracted[2]).trim();
+            return { text: before + (before && after ? ' ' : '') + after, settings: extracted[0] };
+        }
+
+        // The template as it is written in the file
+        function toEntry(template) {
+            var description = splitDescription(template.description, template.name);
+            var entry = { name: template.name, workItemType: template.workItemTypeName };
+            if (description.text) {
+                entry.description = description.text;
+            }
+            if (description.settings) {
+                entry.settings = description.settings;
+            }
+            entry.fields = template.fields || {};
+            return entry;
+        }
+
+        // The order of creation ("order" setting, then name), so the file lists the templates as they run
+        function compareEntries(a, b) {
+            var orderA = parseFloat(a.settings && a.settings.order), orderB = parseFloat(b.settings && b.settings.order);
+            if (isNaN(orderA) !== isNaN(orderB)) return isNaN(orderA) ? 1 : -1;
+            if (!isNaN(orderA) && orderA !== orderB) return orderA - orderB;
+            return a.name.toLowerCase() < b.name.toLowerCase() ? -1 : (a.name.toLowerCase() > b.name.toLowerCase() ? 1 : 0);
+        }
+
+        /**
+         * Build the export document of a set of full templates (with fields and description).
+         * @param {*} templates
+         * @param {*} source // { project, team }: where the templates come from, for the reader of the file
+         */
+        function exportTemplates(templates, source) {
+            return {
+                format: FORMAT,
+                version: VERSION,
+                exported: new Date().toISOString(),
+                source: source,
+                templates: templates.map(toEntry).sort(compareEntries)
+            };
+        }
+
+        /**
+         * Write an export document as 'json' or 'yaml' text.
+         * @param {*} document
+         * @param {*} fileFormat
+         */
+        function serialize(document, fileFormat) {
+            return fileFormat === 'yaml' ? _Yaml.stringify(document) : JSON.stringify(document, null, 2) + '\n';
+        }
+
+        /**
+         * Read and check the text of an export file, JSON or YAML. Throws an error saying what is
+         * wrong and where. Field values are read as text, as templates store them.
+         * @param {*} text
+         */
+        function parse(text) {
+            var document;
+            if (/^\s*[{\[]/.test(text)) {
+                try {
+                    document = JSON.parse(text);
+                } catch (e) {
+                    throw new Error('Invalid JSON: ' + getErrorMessage(e));
+                }
+            } else {
+                try {
+                    document = _Yaml.parse(text);
+                } catch (e) {
+                    throw new Error('Invalid YAML: ' + getErrorMessage(e));
+                }
+            }
+
+            if (!isPlainObject(document) || document.format !== FORMAT) {
+                throw new Error('This is not a Create Child Tasks template file (expected "format: ' + FORMAT + '").');
+            }
+            if (typeof document.version !== 'number' || document.version < 1) {
+                throw new Error('The file has no valid "version".');
+            }
+            if (document.version > VERSION) {
+                throw new Error('The file is version ' + document.version + ', made by a newer version of the extension. This version reads version ' + VERSION + ' files.');
+            }
+            if (!Array.isArray(document.templates)) {
+                throw new Error('The file has no "templates" list.');
+            }
+
+            var keys = {};
+            document.templates.forEach(function (entry, index) {
+                var label = 'Template ' + (index + 1) + (entry && entry.name ? ' ("' + entry.name + '")' : '') + ': ';
+                if (!isPlainObject(entry)) throw new Error(label + 'expected an object.');
+                if (typeof entry.name !== 'string' || !entry.name.trim()) throw new Error(label + '"name" is missing.');
+                if (typeof entry.workItemType !== 'string' || !entry.workItemType.trim()) throw new Error(label + '"workItemType" is missing.');
+                if (entry.description != null && typeof entry.description !== 'string') throw new Error(label + '"description" must be text.');
+                if (entry.settings != null && !isPlainObject(entry.settings)) throw new Error(label + '"settings" must be an object.');
+                if (entry.fields != null && !isPlainObject(entry.fields)) throw new Error(label + '"fields" must be an object.');
+
+                var fields = {};
+                Object.keys(entry.fields || {}).forEach(function (fieldName) {
+                    var value = entry.fields[fieldName];
+                    if (value !== null && typeof value === 'object') throw new Error(label + 'the value of ' + fieldName + ' must be text.');
+                    fields[fieldName] = value == null ? '' : String(value);
+                });
+                entry.fields = fields;
+
+                var key = getKey(entry.name, entry.workItemType);
+                if (keys[key]) throw new Error(label + 'the file has two templates named "' + entry.name + '" for ' + entry.workItemType + '.');
+                keys[key] = true;
+            });
+            return document;
+        }
+
+        // What differs between the template of the team and the one in the file, in words
+        function getChanges(current, imported) {
+            var changes = [];
+            if ((current.description || '') !== (imported.description || '').trim()) {
+                changes.push('Description text');
+            }
+
+            var settingsA = current.settings || {}, settingsB = imported.settings || {};
+            Object.keys(settingsA).concat(Object.keys(settingsB)).forEach(function (key, index, all) {
+                if (all.indexOf(key) !== index) return;
+                if (!settingsB.hasOwnProperty(key)) changes.push('Setting "' + key + '" removed');
+                else if (!settingsA.hasOwnProperty(key)) changes.push('Setting "' + key + '" added: ' + JSON.stringify(settingsB[key]));
+                else if (canonical(settingsA[key]) !== canonical(settingsB[key])) changes.push('Setting "' + key + '": ' + JSON.stringify(settingsA[key]) + ' → ' + JSON.stringify(settingsB[key]));
+            });
+
+            var fieldsA = current.fields, fieldsB = imported.fields;
+            Object.keys(fieldsA).concat(Object.keys(fieldsB)).forEach(function (key, index, all) {
+                if (all.indexOf(key) !== index) return;
+                if (!fieldsB.hasOwnProperty(key)) changes.push(key + ' removed');
+                else if (!fieldsA.hasOwnProperty(key)) changes.push(key + ' added: "' + fieldsB[key] + '"');
+                else if (String(fieldsA[key]) !== fieldsB[key]) changes.push(key + ': "' + fieldsA[key] + '" → "' + fieldsB[key] + '"');
+            });
+            return changes;
+        }
+
+        /**
+         * Compare the templates of a file with the team's templates, matched by name and work item
+         * type. Returns [{ status, name, workItemType, changes, template, error }]: status is 'new',
+         * 'changed', 'unchanged', 'notInFile' (kept as it is) or 'error'; template is the content to
+         * create or replace, with the id of the team's template when it is replaced.
+         * @param {*} document // See parse
+         * @param {*} teamTemplates // The full templates of the team
+         */
+        function diffTemplates(document, teamTemplates) {
+            var byKey = {};
+            teamTemplates.forEach(function (template) {
+                byKey[getKey(template.name, template.workItemTypeName)] = template;
+            });
+
+            var entries = document.templates.map(function (imported) {
+                var key = getKey(imported.name, imported.workItemType);
+                var existing = byKey[key];
+                delete byKey[key];
+
+                var entry = { status: 'new', name: imported.name, workItemType: imported.workItemType, changes: [], template: null, error: null };
+                try {
+                    entry.template = {
+                        name: imported.name,
+                        workItemTypeName: existing ? existing.workItemTypeName : imported.workItemType,
+                        description: imported.settings ? _Rules.writeSettings(imported.description || '', imported.settings) : (imported.description || ''),
+                        fields: imported.fields
+                    };
+                } catch (e) {
+                    entry.status = 'error';
+                    entry.error = getErrorMessage(e);
+                    return entry;
+                }
+                if (existing) {
+                    entry.template.id = existing.id;
+                    entry.changes = getChanges(toEntry(existing), imported);
+                    entry.status = entry.changes.length > 0 ? 'changed' : 'unchanged';
+                }
+                return entry;
+            });
+
+            Object.keys(byKey).forEach(function (key) {
+                var template = byKey[key];
+                entries.push({ status: 'notInFile', name: template.name, workItemType: template.workItemTypeName, changes: [], template: null, error: null });
+            });
+            return entries;
+        }
+
+        /**
+         * Create the new templates and replace the changed ones of a team, one request at a time.
+         * Resolves with [{ name, workItemType, action: 'created' | 'updated', error }].
+         * @param {*} projectId
+         * @param {*} teamId
+         * @param {*} entries // Entries of diffTemplates with status 'new' or 'changed'
+         */
+        function importTemplates(projectId, teamId, entries) {
+            var witClient = _WorkItemRestClient.getClient();
+            var results = [];
+
+            var chain = Q.when();
+            entries.forEach(function (entry) {
+                chain = chain.then(function () {
+                    var result = { name: entry.name, workItemType: entry.workItemType, action: entry.status === 'new' ? 'created' : 'updated', error: null };
+                    var request = entry.status === 'new'
+                        ? witClient.createTemplate(entry.template, projectId, teamId)
+                        : witClient.replaceTemplate(entry.template, projectId, teamId, entry.template.id);
+                    return Q(request)
+                        .then(null, function (err) {
+                            result.error = getErrorMessage(err);
+                        })
+                        .then(function () {
+                            results.push(result);
+                        });
+                });
+            });
+            return chain.then(function () {
+                return results;
+            });
+        }
+
+        return {
+            diffTemplates: diffTemplates,
+            exportTemplates: exportTemplates,
+            importTemplates: importTemplates,
+            parse: parse,
+            serialize: serialize
+        };
+    });
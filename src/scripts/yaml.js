@@ -0,0 +1,269 @@
+define([],
+    function () {
+
+        // Plain scalars that would read back as another type, and characters that need quotes
+        var RESERVED = /^(?:true|false|null|yes|no|on|off|~|[-+]?(?:\d|\.\d)[\d._eExXa-fA-FoO:+-]*|\.inf|\.nan)$/i;
+        var PLAIN_KEY = /^[A-Za-z_][\w.\-]*$/;
+
+        function isPlainObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        function repeat(text, count) {
+            return new Array(count + 1).join(text);
+        }
+
+        function fail(lineNumber, message) {
+            var error = new Error('Line ' + lineNumber + ': ' + message);
+            error.line = lineNumber;
+            throw error;
+        }
+
+        function formatKey(key) {
+            return PLAIN_KEY.test(key) && !RESERVED.test(key) ? key : JSON.stringify(key);
+        }
+
+        // A string that can be written without quotes and reads back as the same string
+        function isPlainString(value) {
+            return value !== '' &&
+                !RESERVED.test(value) &&
+                /^[^\s\-?:,\[\]{}#&*!|>'"%@`]/.test(value) &&
+                !/[\s]$/.test(value) &&
+                !/: |:$| #|[\t\r\n]/.test(value);
+        }
+
+        function formatScalar(value) {
+            if (value === null || value === undefined) return 'null';
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+            var text = String(value);
+            return isPlainString(text) ? text : JSON.stringify(text);
+        }
+
+        // Multi-line text as a literal block ("|"), which keeps the lines as they are in the file
+        function formatBlock(text, indent) {
+            if (text.indexOf('\n') === -1 || /\r|^[ \t\n]|\n\n$|[ \t]\n|[ \t]$/.test(text)) {
+                return null;
+            }
+            var header = /\n$/.test(text) ? '|' : '|-';
+            var lines = text.replace(/\n$/, '').split('\n');
+            return header + '\n' + lines.map(function (line) {
+                return line === '' ? '' : repeat(' ', indent) + line;
+            }).join('\n');
+        }
+
+        function stringifyValue(value, indent) {
+            var pad = repeat(' ', indent);
+
+            if (Array.isArray(value)) {
+                if (value.length == 0) return ' []';
+                return '\n' + value.map(function (item) {
+                    if (isPlainObject(item) && Object.keys(item).length > 0) {
+                        // The first key goes on the line of the dash, the others below it
+                        return pad + '- ' + stringifyValue(item, indent + 2).replace(/^\n\s*/, '');
+                    }
+                    return pad + '-' + stringifyValue(item, indent + 2);
+                }).join('\n');
+            }
+
+            if (isPlainObject(value)) {
+                var keys = Object.keys(value);
+                if (keys.length == 0) return ' {}';
+                return '\n' + keys.map(function (key) {
+                    return pad + formatKey(key) + ':' + stringifyValue(value[key], indent + 2);
+                }).join('\n');
+            }
+
+            if (typeof value === 'string') {
+                var block = formatBlock(value, indent);
+                if (block) return ' ' + block;
+            }
+            return ' ' + formatScalar(value);
+        }
+
+        /**
+         * Write a value (objects, arrays, strings, numbers, booleans and null) as a YAML document.
+         * Strings are quoted when a plain scalar would read back differently; multi-line strings
+         * are written as literal blocks when they can be.
+         * @param {*} value
+         */
+        function stringify(value) {
+            return stringifyValue(value, 0).replace(/^[\n ]/, '') + '\n';
+        }
+
+        // Remove a comment from the end of a line, outside quotes
+        function stripComment(text) {
+            var quote = null;
+            for (var i = 0; i < text.length; i++) {
+                var ch = text.charAt(i);
+                if (quote) {
+                    if (ch === '\\' && quote === '"') i++;
+                    else if (ch === quote) quote = null;
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else if (ch === '#' && (i === 0 || /\s/.test(text.charAt(i - 1)))) {
+                    return text.substring(0, i).replace(/\s+$/, '');
+                }
+            }
+            return text.replace(/\s+$/, '');
+        }
+
+        function parseScalar(text, lineNumber) {
+            text = stripComment(text).trim();
+            if (text === '' || text === '~' || text === 'null') return null;
+            if (text === 'true') return true;
+            if (text === 'false') return false;
+
+            var first = text.charAt(0);
+            if (first === '"' || first === '[' || first === '{') {
+                // Double quotes and flow collections are read as JSON
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    fail(lineNumber, (first === '"' ? 'invalid quoted string' : 'only JSON-style [ ] and { } are supported') + ' (' + text + ')');
+                }
+            }
+            if (first === "'") {
+                if (!/^'(?:[^']|'')*'$/.test(text)) fail(lineNumber, 'invalid quoted string (' + text + ')');
+                return text.substring(1, text.length - 1).replace(/''/g, "'");
+            }
+            if (/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+            if (/^[&*!|>%@`]/.test(first)) fail(lineNumber, 'unsupported YAML syntax "' + text + '"');
+            return text;
+        }
+
+        /**
+         * Read a YAML document. Supports the subset written by stringify and usual hand edits:
+         * block mappings and sequences, plain and quoted scalars, literal ("|") and folded (">")
+         * blocks, JSON-style flow collections and comments. Anchors, tags and multiple documents
+         * are not supported. Throws an error naming the line of the first problem.
+         * @param {*} text
+         */
+        function parse(text) {
+            var lines = String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+            var index = 0;
+
+            var indentOf = function (line) {
+                return line.match(/^ */)[0].length;
+            };
+            var isSignificant = function (line) {
+                var trimmed = line.trim();
+                return trimmed !== '' && trimmed.charAt(0) !== '#' && trimmed !== '---';
+            };
+            // Move to the next line with content and return its indent, or -1 at the end
+            var peek = function () {
+                while (index < lines.length && !isSignificant(lines[index])) index++;
+                if (index < lines.length && /^\s*\t/.test(lines[index])) fail(index + 1, 'tabs cannot be used for indentation');
+                return index < lines.length ? indentOf(lines[index]) : -1;
+            };
+            var isSequenceItem = function (line) {
+                return /^\s*-(?:\s|$)/.test(line);
+            };
+            var KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\-?:\[{][^#]*?|-[^\s#]*?)\s*:(?:\s+(.*))?$/;
+
+            var parseBlockScalar = function (header, parentIndent) {
+                var folded = header.charAt(0) === '>';
+                var chomp = header.indexOf('-') !== -1 ? 'strip' : (header.indexOf('+') !== -1 ? 'keep' : 'clip');
+                var blockLines = [];
+                var blockIndent = -1;
+                while (index < lines.length) {
+                    var line = lines[index];
+                    if (line.trim() === '') {
+                        blockLines.push('');
+                        index++;
+                        continue;
+                    }
+                    var lineIndent = indentOf(line);
+                    if (blockIndent === -1) {
+                        if (lineIndent <= parentIndent) break;
+                        blockIndent = lineIndent;
+                    }
+                    if (lineIndent < blockIndent) break;
+                    blockLines.push(line.substring(blockIndent));
+                    index++;
+                }
+                var trailing = 0;
+                while (blockLines.length > 0 && blockLines[blockLines.length - 1] === '') {
+                    blockLines.pop();
+                    trailing++;
+                }
+                var content = folded
+                    ? blockLines.join('\n').replace(/([^\n])\n(?=[^\n ])/g, '$1 ')
+                    : blockLines.join('\n');
+                if (blockLines.length == 0 || chomp === 'strip') return content;
+                return content + (chomp === 'keep' ? repeat('\n', trailing + 1) : '\n');
+            };
+
+            // The value after "key:" or "- ": inline, a block scalar, or a nested node on the next lines
+            var parseValue = function (rest, parentIndent, lineNumber, allowSameIndentSequence) {
+                var inline = stripComment(rest || '').trim();
+                if (/^[|>][-+]?$/.test(inline)) {
+                    return parseBlockScalar(inline, parentIndent);
+                }
+                if (inline !== '') {
+                    return parseScalar(inline, lineNumber);
+                }
+                var next = peek();
+                if (next > parentIndent || (allowSameIndentSequence && next === parentIndent && isSequenceItem(lines[index]))) {
+                    return parseNode(next);
+                }
+                return null;
+            };
+
+            var parseKey = function (text, lineNumber) {
+                var first = text.charAt(0);
+                return (first === '"' || first === "'") ? parseScalar(text, lineNumber) : text;
+            };
+
+            var parseMapping = function (indent) {
+                var result = {};
+                while (peek() === indent && !isSequenceItem(lines[index])) {
+                    var lineNumber = index + 1;
+                    var match = KEY.exec(lines[index].substring(indent));
+                    if (!match) fail(lineNumber, 'expected "key: value"');
+                    var key = parseKey(match[1], lineNumber);
+                    if (result.hasOwnProperty(key)) fail(lineNumber, 'duplicate key "' + key + '"');
+                    index++;
+                    result[key] = parseValue(match[2], indent, lineNumber, true);
+                }
+                return result;
+            };
+
+            var parseSequence = function (indent) {
+                var result = [];
+                while (peek() === indent && isSequenceItem(lines[index])) {
+                    var lineNumber = index + 1;
+                    var rest = lines[index].substring(indent + 1);
+                    var offset = rest.match(/^ */)[0].length;
+                    var content = rest.substring(offset);
+                    if (content !== '' && content.charAt(0) !== '#' && (KEY.test(stripComment(content)) || isSequenceItem(content))) {
+                        // "- key: value" starts a mapping (or "- - item" a sequence) indented past the dash
+                        lines[index] = repeat(' ', indent + 1 + offset) + content;
+                        result.push(parseNode(indent + 1 + offset));
+                    } else {
+                        index++;
+                        result.push(parseValue(content, indent, lineNumber, false));
+                    }
+                }
+                return result;
+            };
+
+            var parseNode = function (indent) {
+                if (isSequenceItem(lines[index])) return parseSequence(indent);
+                var content = lines[index].substring(indent);
+                if (KEY.test(stripComment(content))) return parseMapping(indent);
+                var lineNumber = index + 1;
+                index++;
+                return parseScalar(content, lineNumber);
+            };
+
+            if (peek() === -1) return null;
+            var value = parseNode(peek());
+            if (peek() !== -1) fail(index + 1, 'unexpected indentation or content');
+            return value;
+        }
+
+        return {
+            parse: parse,
+            stringify: stringify
+        };
+    });